@@ -0,0 +1,162 @@
+import mongoose from 'mongoose';
+import { createHash, randomBytes } from 'crypto';
+import { Subject } from 'rxjs';
+
+const { Schema } = mongoose;
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Rotated-out refresh tokens remembered per device to spot reuse
+const MAX_USED_TOKENS = 20;
+
+// Ids of sessions as they are revoked; open WebSockets are kept in step
+// with it, since they only had their token checked at the upgrade
+export const revokedSessions$ = new Subject();
+
+function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// One signed-in device. Access tokens carry its id as `sid`, so logging the
+// device out or revoking it cuts off its access tokens as well.
+const authSessionSchema = new Schema({
+  institute: {
+    type: Schema.Types.ObjectId,
+    ref: 'Institute',
+    required: true,
+    index: true
+  },
+  staff: {
+    type: Schema.Types.ObjectId,
+    ref: 'Staff',
+    default: null,
+    index: true
+  },
+  device: {
+    type: String,
+    default: 'unknown'
+  },
+  // Only hashes are stored; the token itself is handed to the device once
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  usedTokenHashes: {
+    type: [String],
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Expired sessions are cleaned up by MongoDB
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Swap the refresh token for a new one; the old one stops working. The
+// update only applies while the old token is still current, so of two
+// requests racing with the same token one gets null.
+authSessionSchema.methods.rotate = async function() {
+  const refreshToken = randomBytes(48).toString('base64url');
+
+  const rotated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, refreshTokenHash: this.refreshTokenHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashToken(refreshToken),
+        expiresAt: refreshExpiry(),
+        lastUsedAt: new Date()
+      },
+      $push: { usedTokenHashes: { $each: [this.refreshTokenHash], $slice: -MAX_USED_TOKENS } }
+    }
+  );
+  return rotated ? refreshToken : null;
+};
+
+authSessionSchema.methods.revoke = async function(reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  await this.save();
+
+  revokedSessions$.next([String(this._id)]);
+  return this;
+};
+
+// Static methods
+
+// Start a session for a device, returning it with its first refresh token
+authSessionSchema.statics.issue = async function({ institute, staff = null, device }) {
+  const refreshToken = randomBytes(48).toString('base64url');
+  const session = await this.create({
+    institute,
+    staff,
+    device,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: refreshExpiry(),
+    lastUsedAt: new Date()
+  });
+
+  return { session, refreshToken };
+};
+
+authSessionSchema.statics.findByRefreshToken = function(refreshToken) {
+  return this.findOne({ refreshTokenHash: hashToken(refreshToken) });
+};
+
+// The session a rotated-out refresh token used to belong to
+authSessionSchema.statics.findByUsedToken = function(refreshToken) {
+  return this.findOne({ usedTokenHashes: hashToken(refreshToken) });
+};
+
+// Whether access tokens for this session are still honoured
+authSessionSchema.statics.isActive = async function(sessionId) {
+  if (!mongoose.isValidObjectId(sessionId)) return false;
+
+  const count = await this.countDocuments({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  return count > 0;
+};
+
+// Sign a user out everywhere: every device of a staff member, or of the
+// institute's own login when no staff member is given
+authSessionSchema.statics.revokeAll = async function({ institute, staff = null }, reason) {
+  const revokedAt = new Date();
+  const result = await this.updateMany(
+    { institute, staff, revokedAt: null },
+    { revokedAt, revokedReason: reason }
+  );
+
+  // The timestamp picks out exactly the sessions this call revoked
+  if (result.modifiedCount > 0) {
+    const revoked = await this.find({ institute, staff, revokedAt }).distinct('_id');
+    revokedSessions$.next(revoked.map(String));
+  }
+  return result.modifiedCount;
+};
+
+const AuthSession = mongoose.model('AuthSession', authSessionSchema);
+
+export default AuthSession;
@@ -0,0 +1,109 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// One row per profile, session, track and action for tracks a profile's
+// blocklist kept out of recommendations or flagged in a session. Repeats
+// bump `hits` and `lastSeenAt` instead of adding rows.
+const blocklistAuditSchema = new Schema({
+  institute: {
+    type: Schema.Types.ObjectId,
+    ref: 'Institute',
+    index: true
+  },
+  profile: {
+    type: Schema.Types.ObjectId,
+    ref: 'Profile',
+    required: true
+  },
+  sessionId: {
+    type: String,
+    default: null
+  },
+  trackId: {
+    type: String,
+    required: true
+  },
+  rule: {
+    type: String,
+    enum: ['track', 'artist', 'genre', 'tag'],
+    required: true
+  },
+  value: {
+    type: String,
+    required: true
+  },
+  // Recommendation path or session action that hit the blocklist
+  source: {
+    type: String,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['excluded', 'warned'],
+    default: 'excluded'
+  },
+  // Set by record(); the upsert increments and stamps them
+  hits: {
+    type: Number
+  },
+  lastSeenAt: {
+    type: Date
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Compound indexes for per-profile audit queries
+blocklistAuditSchema.index({ profile: 1, createdAt: -1 });
+blocklistAuditSchema.index({ profile: 1, sessionId: 1, trackId: 1, action: 1 }, { unique: true });
+
+// Instance method to get public audit entry
+blocklistAuditSchema.methods.toPublicJSON = function() {
+  return {
+    id: this._id,
+    profileId: this.profile,
+    sessionId: this.sessionId,
+    trackId: this.trackId,
+    rule: this.rule,
+    value: this.value,
+    source: this.source,
+    action: this.action,
+    hits: this.hits,
+    lastSeenAt: this.lastSeenAt,
+    createdAt: this.createdAt
+  };
+};
+
+// Static methods
+
+// Record blocklist hits without holding up the caller
+blocklistAuditSchema.statics.record = function(entries) {
+  if (entries.length === 0) return;
+
+  const now = new Date();
+  this.bulkWrite(entries.map(({ institute, profile, sessionId, trackId, rule, value, source, action }) => ({
+    updateOne: {
+      filter: { profile, sessionId, trackId, action },
+      update: {
+        $setOnInsert: { institute, rule, value, source },
+        $set: { lastSeenAt: now },
+        $inc: { hits: 1 }
+      },
+      upsert: true
+    }
+  })), { ordered: false }).catch(error => {
+    console.error('Failed to record blocklist audit entries:', error);
+  });
+};
+
+blocklistAuditSchema.statics.findByProfile = function(profileId, { limit = 50, skip = 0 } = {}) {
+  return this.find({ profile: profileId })
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+};
+
+const BlocklistAudit = mongoose.model('BlocklistAudit', blocklistAuditSchema);
+
+export default BlocklistAudit;
@@ -3,6 +3,22 @@ import bcrypt from 'bcryptjs';
 
 const { Schema } = mongoose;
 
+// One-time codes for verifying an account or resetting its password
+export const OTP_PURPOSES = ['verify', 'reset'];
+const OTP_TTL_MINUTES = 10; // Matches what the emails promise
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_RESEND_COOLDOWN_SECONDS = parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60;
+
+// Only a hash of the code is kept
+function otpSlot() {
+  return {
+    hash: { type: String, default: null },
+    expiresAt: { type: Date, default: null },
+    attempts: { type: Number, default: 0 },
+    sentAt: { type: Date, default: null }
+  };
+}
+
 const instituteSchema = new Schema({
   uid: {
     type: String,
@@ -31,10 +47,9 @@ const instituteSchema = new Schema({
     required: true,
     minlength: 6
   },
-  otpResetPassword: {
-    type: String,
-    default: null
-  },
+  // One code per purpose, so asking for a reset doesn't cancel a pending
+  // verification or hold up its resend
+  otp: Object.fromEntries(OTP_PURPOSES.map(purpose => [purpose, otpSlot()])),
   isVerifyAuth: {
     type: Boolean,
     default: false
@@ -52,6 +67,11 @@ const instituteSchema = new Schema({
       type: String,
       enum: ['light', 'dark', 'auto'],
       default: 'auto'
+    },
+    // Language for emails sent to the institute and its staff
+    language: {
+      type: String,
+      default: 'en'
     }
   }
 }, {
@@ -79,6 +99,64 @@ instituteSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Store a new code for a purpose, replacing any earlier one for it
+instituteSchema.methods.setOTP = async function(code, purpose) {
+  const salt = await bcrypt.genSalt(10);
+  const now = new Date();
+
+  this.otp[purpose] = {
+    hash: await bcrypt.hash(code, salt),
+    expiresAt: new Date(now.getTime() + OTP_TTL_MINUTES * 60 * 1000),
+    attempts: 0,
+    sentAt: now
+  };
+  return this.save();
+};
+
+// Seconds until another code for the purpose may be sent
+instituteSchema.methods.otpCooldownSeconds = function(purpose) {
+  const otp = this.otp[purpose];
+  if (!otp || !otp.sentAt) return 0;
+
+  const elapsed = (Date.now() - otp.sentAt.getTime()) / 1000;
+  return Math.max(0, Math.ceil(OTP_RESEND_COOLDOWN_SECONDS - elapsed));
+};
+
+// Check a code: 'valid', 'invalid', 'expired' or 'locked'. After
+// OTP_MAX_ATTEMPTS guesses a new code must be requested. Each guess takes an
+// attempt in the database before the code is compared, and a valid code is
+// cleared there too, so parallel requests can't share one attempt or reuse
+// one code.
+instituteSchema.methods.checkOTP = async function(code, purpose) {
+  // Copied out, since the document changes under us once the code is used
+  const { hash, expiresAt, attempts, sentAt } = this.otp[purpose] || {};
+  if (!hash) return 'invalid';
+  if (attempts >= OTP_MAX_ATTEMPTS) return 'locked';
+  if (expiresAt <= new Date()) return 'expired';
+
+  const path = `otp.${purpose}`;
+  const attempt = await this.constructor.findOneAndUpdate(
+    { _id: this._id, [`${path}.hash`]: hash, [`${path}.attempts`]: { $lt: OTP_MAX_ATTEMPTS } },
+    { $inc: { [`${path}.attempts`]: 1 } },
+    { new: true, projection: { [`${path}.attempts`]: 1 } }
+  );
+  if (!attempt) return 'locked';
+
+  if (!await bcrypt.compare(code, hash)) {
+    return attempt.otp[purpose].attempts >= OTP_MAX_ATTEMPTS ? 'locked' : 'invalid';
+  }
+
+  const cleared = { hash: null, expiresAt: null, attempts: 0, sentAt };
+  const used = await this.constructor.findOneAndUpdate(
+    { _id: this._id, [`${path}.hash`]: hash },
+    { $set: { [path]: cleared } }
+  );
+  if (!used) return 'invalid';
+
+  this.otp[purpose] = cleared;
+  return 'valid';
+};
+
 // Generate UID method
 instituteSchema.methods.generateUID = function() {
   const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
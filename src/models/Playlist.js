@@ -0,0 +1,148 @@
+import mongoose from 'mongoose';
+import Track from './Track.js';
+
+const { Schema } = mongoose;
+
+// Playlist order is the order of the `tracks` array
+const playlistTrackSchema = new Schema({
+  track: {
+    type: Schema.Types.ObjectId,
+    ref: 'Track',
+    required: true
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+const playlistSchema = new Schema({
+  institute: {
+    type: Schema.Types.ObjectId,
+    ref: 'Institute',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'life-soundtrack'],
+    default: 'manual'
+  },
+  tracks: [playlistTrackSchema],
+  profiles: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Profile',
+    index: true
+  }]
+}, {
+  timestamps: true
+});
+
+// Compound indexes for institute-scoped listing
+playlistSchema.index({ institute: 1, name: 1 });
+
+// Instance methods
+playlistSchema.methods.getTrackIds = function() {
+  return this.tracks.map(entry => (entry.track._id || entry.track).toString());
+};
+
+playlistSchema.methods.hasTrack = function(trackId) {
+  return this.getTrackIds().includes(trackId.toString());
+};
+
+playlistSchema.methods.addTrack = function(trackId, position = this.tracks.length) {
+  if (this.hasTrack(trackId)) return false;
+
+  const index = Math.max(0, Math.min(position, this.tracks.length));
+  this.tracks.splice(index, 0, { track: trackId, addedAt: new Date() });
+  return true;
+};
+
+playlistSchema.methods.removeTrack = function(trackId) {
+  const index = this.getTrackIds().indexOf(trackId.toString());
+  if (index === -1) return false;
+
+  this.tracks.splice(index, 1);
+  return true;
+};
+
+// Reorder using a complete list of the playlist's track ids
+playlistSchema.methods.reorder = function(trackIds) {
+  const current = this.getTrackIds();
+  const requested = trackIds.map(id => id.toString());
+
+  if (requested.length !== current.length || new Set(requested).size !== requested.length) {
+    return false;
+  }
+
+  const entries = new Map(this.tracks.map(entry => [(entry.track._id || entry.track).toString(), entry]));
+  if (!requested.every(id => entries.has(id))) return false;
+
+  this.tracks = requested.map(id => ({
+    track: entries.get(id).track,
+    addedAt: entries.get(id).addedAt
+  }));
+  return true;
+};
+
+// Track ids in order, skipping tracks that have since been deactivated
+playlistSchema.methods.getActiveTrackIds = async function() {
+  const trackIds = this.getTrackIds();
+  const active = await Track
+    .find({ _id: { $in: trackIds }, isActive: true })
+    .select('_id');
+  const activeIds = new Set(active.map(track => track._id.toString()));
+
+  return trackIds.filter(id => activeIds.has(id));
+};
+
+// Instance method to get public playlist
+playlistSchema.methods.toPublicJSON = function() {
+  return {
+    id: this._id,
+    institute: this.institute,
+    name: this.name,
+    description: this.description,
+    source: this.source,
+    tracks: this.tracks.map((entry, position) => ({
+      position,
+      track: entry.track,
+      addedAt: entry.addedAt
+    })),
+    profiles: this.profiles,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Static methods
+playlistSchema.statics.findByInstitute = async function(instituteId, { profileId } = {}) {
+  if (!instituteId) return [];
+
+  const query = { institute: instituteId };
+  if (profileId) query.profiles = profileId;
+
+  return this.find(query).sort({ name: 1 });
+};
+
+playlistSchema.statics.findForInstitute = async function(playlistId, instituteId) {
+  // A missing institute must not turn into an unscoped lookup
+  if (!instituteId || !mongoose.isValidObjectId(playlistId)) return null;
+
+  return this.findOne({ _id: playlistId, institute: instituteId });
+};
+
+const Playlist = mongoose.model('Playlist', playlistSchema);
+
+export default Playlist;
@@ -0,0 +1,93 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// Weight of the newest reaction once a track has a few interactions
+const RECENCY_WEIGHT = 0.3;
+
+const preferenceSchema = new Schema({
+  profile: {
+    type: Schema.Types.ObjectId,
+    ref: 'Profile',
+    required: true,
+    index: true
+  },
+  track: {
+    type: Schema.Types.ObjectId,
+    ref: 'Track',
+    required: true,
+    index: true
+  },
+  score: {
+    type: Number,
+    min: 1,
+    max: 5,
+    required: true
+  },
+  interactions: {
+    type: Number,
+    default: 0
+  },
+  lastReactedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// One row per profile and track
+preferenceSchema.index({ profile: 1, track: 1 }, { unique: true });
+
+// Static methods
+
+// Blend a new 1-5 score into the stored one: a plain running mean for the
+// first few interactions, then an exponential moving average so the score
+// keeps following the resident as their taste changes
+preferenceSchema.statics.recordScore = function(profileId, trackId, score, reactedAt = new Date()) {
+  return this.findOneAndUpdate(
+    { profile: profileId, track: trackId },
+    [{
+      $set: {
+        score: {
+          $let: {
+            vars: {
+              previous: { $ifNull: ['$interactions', 0] }
+            },
+            in: {
+              $cond: [
+                { $gt: ['$$previous', 0] },
+                {
+                  $let: {
+                    vars: {
+                      weight: { $max: [{ $divide: [1, { $add: ['$$previous', 1] }] }, RECENCY_WEIGHT] }
+                    },
+                    in: {
+                      $add: [
+                        { $multiply: ['$score', { $subtract: [1, '$$weight'] }] },
+                        { $multiply: [score, '$$weight'] }
+                      ]
+                    }
+                  }
+                },
+                score
+              ]
+            }
+          }
+        },
+        interactions: { $add: [{ $ifNull: ['$interactions', 0] }, 1] },
+        lastReactedAt: reactedAt,
+        createdAt: { $ifNull: ['$createdAt', reactedAt] }
+      }
+    }],
+    { upsert: true, new: true }
+  );
+};
+
+preferenceSchema.statics.findByProfile = function(profileId) {
+  return this.find({ profile: profileId }).sort({ score: -1 });
+};
+
+const Preference = mongoose.model('Preference', preferenceSchema);
+
+export default Preference;
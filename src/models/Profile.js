@@ -0,0 +1,194 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// Agitation alert rules used when a profile doesn't override them
+export const ALERT_THRESHOLD_DEFAULTS = {
+  strongDislikeCount: 2, // "strongly dislike" reactions within the window
+  strongDislikeWindowMinutes: 5,
+  engagementDrop: 0.3, // fall in engagement (0-1) between earlier and recent reactions
+  silenceMinutes: 10, // no reaction at all while music is playing
+  autoCalm: true // switch the session to a calming track on distress alerts
+};
+
+const profileSchema = new Schema({
+  institute: {
+    type: Schema.Types.ObjectId,
+    ref: 'Institute',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  birthYear: {
+    type: Number,
+    min: 1900,
+    max: 2100,
+    required: false
+  },
+  preferredLanguages: [{
+    type: String,
+    trim: true
+  }],
+  favoriteGenres: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  culturalBackground: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  culturalTags: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  dementiaStage: {
+    type: String,
+    enum: ['unknown', 'mild', 'moderate', 'severe'],
+    default: 'unknown'
+  },
+  notes: {
+    type: String,
+    default: ''
+  },
+  alertThresholds: {
+    strongDislikeCount: { type: Number, min: 1, default: ALERT_THRESHOLD_DEFAULTS.strongDislikeCount },
+    strongDislikeWindowMinutes: { type: Number, min: 1, default: ALERT_THRESHOLD_DEFAULTS.strongDislikeWindowMinutes },
+    engagementDrop: { type: Number, min: 0, max: 1, default: ALERT_THRESHOLD_DEFAULTS.engagementDrop },
+    silenceMinutes: { type: Number, min: 1, default: ALERT_THRESHOLD_DEFAULTS.silenceMinutes },
+    autoCalm: { type: Boolean, default: ALERT_THRESHOLD_DEFAULTS.autoCalm }
+  },
+  // "Do not play" list kept by caregivers, e.g. songs tied to grief or trauma
+  blocklist: {
+    tracks: [{
+      type: Schema.Types.ObjectId,
+      ref: 'Track'
+    }],
+    artists: [{
+      type: String,
+      trim: true,
+      lowercase: true
+    }],
+    genres: [{
+      type: String,
+      trim: true,
+      lowercase: true
+    }],
+    tags: [{
+      type: String,
+      trim: true,
+      lowercase: true
+    }]
+  },
+  isArchived: {
+    type: Boolean,
+    default: false
+  },
+  archivedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Compound indexes for institute-scoped listing
+profileSchema.index({ institute: 1, isArchived: 1, name: 1 });
+
+// Archive instead of deleting so session history keeps pointing at something
+profileSchema.methods.archive = function() {
+  this.isArchived = true;
+  this.archivedAt = new Date();
+  return this.save();
+};
+
+// Instance method to get public profile
+profileSchema.methods.toPublicJSON = function() {
+  return {
+    id: this._id,
+    institute: this.institute,
+    name: this.name,
+    birthYear: this.birthYear,
+    preferredLanguages: this.preferredLanguages,
+    favoriteGenres: this.favoriteGenres,
+    culturalBackground: this.culturalBackground,
+    culturalTags: this.culturalTags,
+    dementiaStage: this.dementiaStage,
+    notes: this.notes,
+    alertThresholds: this.alertThresholds,
+    blocklist: this.blocklist,
+    isArchived: this.isArchived,
+    archivedAt: this.archivedAt,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Static methods
+
+// The blocklist rule a track falls under, if any. The track is
+// { trackId, artist, genre, tags }; names compare case-insensitively.
+profileSchema.statics.matchBlocklist = function(blocklist, track) {
+  if (!blocklist) return null;
+
+  const trackId = String(track.trackId);
+  if ((blocklist.tracks || []).some(blockedId => String(blockedId) === trackId)) {
+    return { rule: 'track', value: trackId };
+  }
+
+  const artist = (track.artist || '').toLowerCase();
+  if (artist && (blocklist.artists || []).includes(artist)) {
+    return { rule: 'artist', value: artist };
+  }
+
+  const genre = (track.genre || '').toLowerCase();
+  if (genre && (blocklist.genres || []).includes(genre)) {
+    return { rule: 'genre', value: genre };
+  }
+
+  const tag = (track.tags || [])
+    .map(trackTag => trackTag.toLowerCase())
+    .find(trackTag => (blocklist.tags || []).includes(trackTag));
+  if (tag) {
+    return { rule: 'tag', value: tag };
+  }
+
+  return null;
+};
+
+profileSchema.statics.hasBlocklist = function(blocklist) {
+  return Boolean(blocklist) && ['tracks', 'artists', 'genres', 'tags']
+    .some(field => (blocklist[field] || []).length > 0);
+};
+
+profileSchema.statics.findByInstitute = async function(instituteId, { includeArchived = false } = {}) {
+  if (!instituteId) return [];
+
+  const query = { institute: instituteId };
+  if (!includeArchived) query.isArchived = false;
+
+  return this.find(query).sort({ name: 1 });
+};
+
+profileSchema.statics.findForInstitute = async function(profileId, instituteId) {
+  // A missing institute must not turn into an unscoped lookup
+  if (!instituteId || !mongoose.isValidObjectId(profileId)) return null;
+
+  return this.findOne({ _id: profileId, institute: instituteId });
+};
+
+profileSchema.statics.findActiveById = async function(profileId) {
+  if (!mongoose.isValidObjectId(profileId)) return null;
+
+  return this.findOne({ _id: profileId, isArchived: false });
+};
+
+const Profile = mongoose.model('Profile', profileSchema);
+
+export default Profile;
@@ -0,0 +1,132 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+const REACTION_SCORES = {
+  'strongly like': 5,
+  'like': 4,
+  'neutral': 3,
+  'dislike': 2,
+  'strongly dislike': 1
+};
+
+const reactionSchema = new Schema({
+  sessionId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  institute: {
+    type: Schema.Types.ObjectId,
+    ref: 'Institute',
+    index: true
+  },
+  profile: {
+    type: Schema.Types.ObjectId,
+    ref: 'Profile',
+    required: true
+  },
+  trackId: {
+    type: String,
+    required: true
+  },
+  reaction: {
+    type: String,
+    enum: Object.keys(REACTION_SCORES),
+    required: true
+  },
+  intensity: {
+    type: Number,
+    min: 1,
+    max: 5,
+    required: true
+  },
+  timestamp: {
+    type: Date,
+    required: true
+  }
+});
+
+// Compound indexes for per-profile analytics
+reactionSchema.index({ profile: 1, timestamp: -1 });
+
+// Intensity on the 1-5 scale, falling back to the reaction label
+reactionSchema.statics.scoreFor = function(reaction, intensity) {
+  return intensity || REACTION_SCORES[reaction] || 3;
+};
+
+reactionSchema.statics.findRecent = function(profileId, { from, to, limit = 10 } = {}) {
+  return this.find({ profile: profileId, timestamp: { $gte: from, $lte: to } })
+    .sort({ timestamp: -1 })
+    .limit(limit);
+};
+
+// Genres the resident responded well to, with the Track looked up by id
+reactionSchema.statics.aggregateFavoriteGenres = function(profileId, { from, to, limit = 5 }) {
+  return this.aggregate([
+    { $match: { profile: new mongoose.Types.ObjectId(profileId), timestamp: { $gte: from, $lte: to } } },
+    { $match: { intensity: { $gte: 4 } } },
+    { $addFields: { trackObjectId: { $convert: { input: '$trackId', to: 'objectId', onError: null, onNull: null } } } },
+    { $lookup: { from: 'tracks', localField: 'trackObjectId', foreignField: '_id', as: 'track' } },
+    { $unwind: '$track' },
+    { $match: { 'track.genre': { $ne: null } } },
+    { $group: { _id: '$track.genre', count: { $sum: 1 }, averageIntensity: { $avg: '$intensity' } } },
+    { $sort: { count: -1, averageIntensity: -1 } },
+    { $limit: limit },
+    { $project: { _id: 0, genre: '$_id', count: 1, averageIntensity: 1 } }
+  ]);
+};
+
+// Reactions in a window together with the genre and era of their track
+reactionSchema.statics.findWithTrackInfo = function(profileId, { from, to }) {
+  return this.aggregate([
+    { $match: { profile: new mongoose.Types.ObjectId(profileId), timestamp: { $gte: from, $lte: to } } },
+    { $sort: { timestamp: 1 } },
+    { $addFields: { trackObjectId: { $convert: { input: '$trackId', to: 'objectId', onError: null, onNull: null } } } },
+    { $lookup: { from: 'tracks', localField: 'trackObjectId', foreignField: '_id', as: 'track' } },
+    {
+      $project: {
+        _id: 0,
+        sessionId: 1,
+        trackId: 1,
+        reaction: 1,
+        intensity: 1,
+        timestamp: 1,
+        genre: { $first: '$track.genre' },
+        era: { $first: '$track.era' }
+      }
+    }
+  ]);
+};
+
+// Every profile's mean 1-5 score per track over its whole reaction
+// history, one row per profile with the institute it belongs to
+reactionSchema.statics.aggregateRatings = function() {
+  return this.aggregate([
+    { $group: { _id: { profile: '$profile', trackId: '$trackId' }, score: { $avg: '$intensity' } } },
+    { $group: { _id: '$_id.profile', ratings: { $push: { trackId: '$_id.trackId', score: '$score' } } } },
+    { $lookup: { from: 'profiles', localField: '_id', foreignField: '_id', as: 'profile' } },
+    { $unwind: '$profile' },
+    { $project: { _id: 0, profileId: '$_id', instituteId: '$profile.institute', ratings: 1 } }
+  ]);
+};
+
+reactionSchema.statics.aggregateSummary = async function(profileId, { from, to }) {
+  const [summary] = await this.aggregate([
+    { $match: { profile: new mongoose.Types.ObjectId(profileId), timestamp: { $gte: from, $lte: to } } },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: 1 },
+        positive: { $sum: { $cond: [{ $gte: ['$intensity', 4] }, 1, 0] } },
+        averageIntensity: { $avg: '$intensity' }
+      }
+    }
+  ]);
+
+  return summary || { total: 0, positive: 0, averageIntensity: null };
+};
+
+const Reaction = mongoose.model('Reaction', reactionSchema);
+
+export default Reaction;
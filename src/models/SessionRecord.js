@@ -0,0 +1,158 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+const participantSchema = new Schema({
+  userId: String,
+  profileId: String,
+  profileName: String,
+  joinedAt: Date,
+  leftAt: Date
+}, {
+  _id: false
+});
+
+const reactionSchema = new Schema({
+  trackId: String,
+  profileId: String,
+  reaction: String,
+  intensity: Number,
+  timestamp: Date
+}, {
+  _id: false
+});
+
+const playedTrackSchema = new Schema({
+  trackId: String,
+  title: String,
+  artist: String,
+  startedAt: Date,
+  endedAt: Date
+}, {
+  _id: false
+});
+
+const sessionRecordSchema = new Schema({
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  institute: {
+    type: Schema.Types.ObjectId,
+    ref: 'Institute',
+    index: true
+  },
+  playlistId: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: {
+    type: Date,
+    required: true
+  },
+  participants: [participantSchema],
+  reactions: [reactionSchema],
+  tracks: [playedTrackSchema],
+  finalMetrics: {
+    type: Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true
+});
+
+// Compound indexes for history queries
+sessionRecordSchema.index({ institute: 1, startedAt: -1 });
+sessionRecordSchema.index({ 'participants.profileId': 1, startedAt: -1 });
+
+// Instance method to get a summary without the full reaction log
+sessionRecordSchema.methods.toSummaryJSON = function() {
+  return {
+    id: this._id,
+    sessionId: this.sessionId,
+    playlistId: this.playlistId,
+    startedAt: this.startedAt,
+    endedAt: this.endedAt,
+    participants: this.participants,
+    trackCount: this.tracks.length,
+    reactionCount: this.reactions.length,
+    finalMetrics: this.finalMetrics
+  };
+};
+
+// Static methods
+
+// Build a record from a session as held by ReactiveSessionManager
+sessionRecordSchema.statics.fromSession = function(session, finalMetrics) {
+  return new this({
+    sessionId: session.id,
+    institute: mongoose.isValidObjectId(session.createdBy) ? session.createdBy : undefined,
+    playlistId: session.playlistId,
+    startedAt: new Date(session.createdAt),
+    endedAt: new Date(session.endedAt || Date.now()),
+    participants: session.participantLog.map(participant => ({
+      ...participant,
+      joinedAt: new Date(participant.joinedAt),
+      leftAt: participant.leftAt ? new Date(participant.leftAt) : null
+    })),
+    reactions: session.reactions.map(reaction => ({
+      ...reaction,
+      timestamp: new Date(reaction.timestamp)
+    })),
+    tracks: session.trackHistory.map(track => ({
+      ...track,
+      startedAt: new Date(track.startedAt),
+      endedAt: track.endedAt ? new Date(track.endedAt) : null
+    })),
+    finalMetrics
+  });
+};
+
+sessionRecordSchema.statics.findHistory = function(instituteId, { profileId, from, to } = {}) {
+  const query = { institute: instituteId };
+  if (profileId) query['participants.profileId'] = profileId;
+  if (from || to) {
+    query.startedAt = {};
+    if (from) query.startedAt.$gte = from;
+    if (to) query.startedAt.$lte = to;
+  }
+
+  return this.find(query).sort({ startedAt: -1 });
+};
+
+sessionRecordSchema.statics.findForInstitute = async function(recordId, instituteId) {
+  const query = mongoose.isValidObjectId(recordId)
+    ? { $or: [{ _id: recordId }, { sessionId: recordId }] }
+    : { sessionId: recordId };
+  query.institute = instituteId;
+
+  return this.findOne(query);
+};
+
+// Sessions attended and time listened by one profile
+sessionRecordSchema.statics.aggregateListening = async function(profileId, { from, to }) {
+  const [listening] = await this.aggregate([
+    { $match: { 'participants.profileId': profileId, startedAt: { $gte: from, $lte: to } } },
+    { $unwind: '$participants' },
+    { $match: { 'participants.profileId': profileId } },
+    {
+      $project: {
+        sessionId: 1,
+        duration: { $subtract: [{ $ifNull: ['$participants.leftAt', '$endedAt'] }, '$participants.joinedAt'] }
+      }
+    },
+    { $group: { _id: null, sessions: { $addToSet: '$sessionId' }, totalMs: { $sum: '$duration' } } },
+    { $project: { _id: 0, sessions: { $size: '$sessions' }, totalMs: 1 } }
+  ]);
+
+  return listening || { sessions: 0, totalMs: 0 };
+};
+
+const SessionRecord = mongoose.model('SessionRecord', sessionRecordSchema);
+
+export default SessionRecord;
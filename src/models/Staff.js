@@ -0,0 +1,107 @@
+import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
+
+const { Schema } = mongoose;
+
+export const STAFF_ROLES = ['admin', 'therapist', 'caregiver', 'family'];
+
+// Individual login for someone working at (or visiting) an institute
+const staffSchema = new Schema({
+  institute: {
+    type: Schema.Types.ObjectId,
+    ref: 'Institute',
+    required: true,
+    index: true
+  },
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  password: {
+    type: String,
+    required: true,
+    minlength: 6
+  },
+  role: {
+    type: String,
+    enum: STAFF_ROLES,
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastLogin: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Password hashing middleware
+staffSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) return next();
+
+  try {
+    const salt = await bcrypt.genSalt(12);
+    this.password = await bcrypt.hash(this.password, salt);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Password comparison method
+staffSchema.methods.comparePassword = async function(candidatePassword) {
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
+// Update last login
+staffSchema.methods.updateLastLogin = function() {
+  this.lastLogin = new Date();
+  return this.save();
+};
+
+// Instance method to get public staff account
+staffSchema.methods.toPublicJSON = function() {
+  return {
+    id: this._id,
+    instituteId: this.institute,
+    email: this.email,
+    name: this.name,
+    role: this.role,
+    isActive: this.isActive,
+    lastLogin: this.lastLogin,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Static methods
+staffSchema.statics.findByEmail = function(email) {
+  return this.findOne({ email: email.toLowerCase() });
+};
+
+staffSchema.statics.findByInstitute = function(instituteId) {
+  return this.find({ institute: instituteId }).sort({ name: 1 });
+};
+
+// A staff account, but only if it belongs to the given institute
+staffSchema.statics.findForInstitute = async function(staffId, instituteId) {
+  if (!mongoose.isValidObjectId(staffId)) return null;
+
+  return this.findOne({ _id: staffId, institute: instituteId });
+};
+
+const Staff = mongoose.model('Staff', staffSchema);
+
+export default Staff;
@@ -0,0 +1,224 @@
+import { Subject, interval } from 'rxjs';
+import { filter } from 'rxjs/operators';
+import { v4 as uuidv4 } from 'uuid';
+import Profile, { ALERT_THRESHOLD_DEFAULTS } from '../models/Profile.js';
+import Reaction from '../models/Reaction.js';
+
+// How often residents are checked for a long silence
+const SILENCE_CHECK_INTERVAL_MS = parseInt(process.env.ALERT_SILENCE_CHECK_MS) || 30000;
+
+// The same rule won't fire again for a resident within this time
+const ALERT_COOLDOWN_MS = 5 * 60 * 1000;
+
+// Reactions averaged on each side of the engagement trend
+const TREND_WINDOW = 3;
+const MAX_WATCHED_REACTIONS = 20;
+
+// Rule engine that watches live reactions for signs of agitation or
+// withdrawal and raises alerts for caregivers on alerts$
+export class AgitationAlertEngine {
+  constructor({ sessionManager, musicEngine }) {
+    this.sessionManager = sessionManager;
+    this.musicEngine = musicEngine;
+    this.alerts$ = new Subject();
+
+    // `${sessionId}:${profileId}` -> what we know about a resident in a session
+    this.watched = new Map();
+
+    this.subscriptions = [
+      sessionManager.sessionEvents$.subscribe(event => this.handleSessionEvent(event)),
+      sessionManager.userReactions$.pipe(
+        filter(reaction => reaction.profileId)
+      ).subscribe(reaction => {
+        this.handleReaction(reaction).catch(error => {
+          console.error(`Alert rules failed for session ${reaction.sessionId}:`, error);
+        });
+      }),
+      interval(SILENCE_CHECK_INTERVAL_MS).subscribe(() => this.checkSilence())
+    ];
+
+    console.log('Agitation alert engine initialized');
+  }
+
+  handleSessionEvent(event) {
+    switch (event.type) {
+      case 'USER_JOINED':
+        if (event.profileId) {
+          this.watch(event.sessionId, event.profileId).catch(error => {
+            console.error(`Failed to load alert thresholds for ${event.profileId}:`, error);
+          });
+        }
+        break;
+      case 'USER_LEFT':
+        // Leave events carry the user, so drop whoever is no longer in the session
+        for (const [key, entry] of this.watched) {
+          if (entry.sessionId === event.sessionId &&
+              !this.sessionManager.isProfileInSession(entry.sessionId, entry.profileId)) {
+            this.watched.delete(key);
+          }
+        }
+        break;
+      case 'SESSION_ENDED':
+        for (const [key, entry] of this.watched) {
+          if (entry.sessionId === event.sessionId) {
+            this.watched.delete(key);
+          }
+        }
+        break;
+    }
+  }
+
+  // Start watching a resident, with the thresholds from their profile
+  async watch(sessionId, profileId) {
+    const key = `${sessionId}:${profileId}`;
+    if (!this.watched.has(key)) {
+      this.watched.set(key, {
+        sessionId,
+        profileId,
+        profileName: null,
+        thresholds: { ...ALERT_THRESHOLD_DEFAULTS },
+        reactions: [],
+        lastActivityAt: Date.now(),
+        raised: new Map() // rule -> when it last fired
+      });
+    }
+
+    const entry = this.watched.get(key);
+    const profile = await Profile.findActiveById(profileId);
+    if (profile) {
+      entry.profileName = profile.name;
+      entry.thresholds = { ...ALERT_THRESHOLD_DEFAULTS, ...profile.toObject().alertThresholds };
+    }
+    return entry;
+  }
+
+  async handleReaction(reaction) {
+    const { sessionId, profileId } = reaction;
+    const entry = this.watched.get(`${sessionId}:${profileId}`) || await this.watch(sessionId, profileId);
+    const { thresholds } = entry;
+    const now = reaction.timestamp || Date.now();
+
+    entry.lastActivityAt = now;
+    entry.raised.delete('NO_RESPONSE');
+    entry.reactions.push({
+      reaction: reaction.reaction,
+      score: Reaction.scoreFor(reaction.reaction, reaction.intensity),
+      timestamp: now
+    });
+    entry.reactions = entry.reactions.slice(-MAX_WATCHED_REACTIONS);
+
+    // Repeated "strongly dislike" within the window
+    if (reaction.reaction === 'strongly dislike') {
+      const windowStart = now - thresholds.strongDislikeWindowMinutes * 60000;
+      const count = entry.reactions
+        .filter(recent => recent.reaction === 'strongly dislike' && recent.timestamp >= windowStart)
+        .length;
+
+      if (count >= thresholds.strongDislikeCount) {
+        await this.raise(entry, 'REPEATED_STRONG_DISLIKE', 'high',
+          `${count} strong dislikes in ${thresholds.strongDislikeWindowMinutes} minutes`,
+          { count, windowMinutes: thresholds.strongDislikeWindowMinutes });
+        return;
+      }
+    }
+
+    // Engagement falling between the earlier and the most recent reactions
+    if (entry.reactions.length >= TREND_WINDOW * 2) {
+      const scores = entry.reactions.map(recent => recent.score);
+      const recent = average(scores.slice(-TREND_WINDOW));
+      const earlier = average(scores.slice(-TREND_WINDOW * 2, -TREND_WINDOW));
+      const drop = (earlier - recent) / 4; // 1-5 scale onto 0-1
+
+      if (drop >= thresholds.engagementDrop) {
+        await this.raise(entry, 'ENGAGEMENT_FALLING', 'medium',
+          'Engagement is falling',
+          { earlier: (earlier - 1) / 4, recent: (recent - 1) / 4, drop });
+      }
+    }
+  }
+
+  // Silence only counts while music is actually playing
+  checkSilence(now = Date.now()) {
+    for (const entry of this.watched.values()) {
+      const playback = this.sessionManager.getPlaybackState(entry.sessionId, now);
+      if (!playback || !playback.trackId || playback.paused) {
+        entry.lastActivityAt = now;
+        continue;
+      }
+
+      const silentMinutes = (now - entry.lastActivityAt) / 60000;
+      if (silentMinutes >= entry.thresholds.silenceMinutes && !entry.raised.has('NO_RESPONSE')) {
+        this.raise(entry, 'NO_RESPONSE', 'medium',
+          `No reaction for ${Math.floor(silentMinutes)} minutes`,
+          { silentMinutes: Math.floor(silentMinutes) }
+        ).catch(error => {
+          console.error(`Failed to raise alert in session ${entry.sessionId}:`, error);
+        });
+      }
+    }
+  }
+
+  async raise(entry, rule, severity, message, details) {
+    const now = Date.now();
+    const lastRaised = entry.raised.get(rule);
+    if (lastRaised && now - lastRaised < ALERT_COOLDOWN_MS) return;
+    entry.raised.set(rule, now);
+
+    const session = this.sessionManager.getSession(entry.sessionId);
+    const alert = {
+      id: uuidv4(),
+      type: 'AGITATION_ALERT',
+      rule,
+      severity,
+      message,
+      sessionId: entry.sessionId,
+      instituteId: session ? session.createdBy : null,
+      profileId: entry.profileId,
+      profileName: entry.profileName,
+      details,
+      calmingTrackId: null,
+      timestamp: now
+    };
+
+    // Distress, not silence, is a reason to change the music
+    if (rule !== 'NO_RESPONSE' && entry.thresholds.autoCalm) {
+      alert.calmingTrackId = await this.playCalmingTrack(entry.sessionId, entry.profileId);
+    }
+
+    this.alerts$.next(alert);
+    console.log(`Alert ${rule} for profile ${entry.profileId} in session ${entry.sessionId}`);
+  }
+
+  // Switch the session to a calming track unless one is already playing
+  async playCalmingTrack(sessionId, profileId) {
+    const session = this.sessionManager.getSession(sessionId);
+    if (!session) return null;
+
+    const currentTrackId = session.currentTrack ? session.currentTrack.trackId : null;
+    const currentFeatures = currentTrackId ? this.musicEngine.trackFeatures$.value.get(currentTrackId) : null;
+    if (currentFeatures && this.musicEngine.isCalming(currentFeatures)) {
+      return null;
+    }
+
+    try {
+      const scope = await this.musicEngine.blocklistScope(sessionId, profileId);
+      const trackId = this.musicEngine.findCalmingTrack(profileId, new Set([...session.vetoed, currentTrackId]), scope);
+      if (!trackId) return null;
+
+      await this.sessionManager.controlPlayback(sessionId, { action: 'PLAY', trackId, reason: 'calming' });
+      return trackId;
+    } catch (error) {
+      console.error(`Failed to play calming track in session ${sessionId}:`, error);
+      return null;
+    }
+  }
+
+  close() {
+    this.subscriptions.forEach(subscription => subscription.unsubscribe());
+    this.watched.clear();
+  }
+}
+
+function average(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
@@ -0,0 +1,155 @@
+import { filter, mergeMap } from 'rxjs/operators';
+import mongoose from 'mongoose';
+import Institute from '../models/Institute.js';
+import Staff from '../models/Staff.js';
+import { sendEmail } from '../utils/email.js';
+import { hasPermission } from '../utils/permissions.js';
+
+// Tracks listed as best received in a session summary
+const TOP_TRACKS = 3;
+
+// Emails the care team about what happens in live sessions: urgent alerts to
+// everyone who watches alerts, and a summary to the institute once a session
+// ends. Institutes that turned notifications off get neither.
+export class CareTeamNotifier {
+  constructor({ sessionManager, alertEngine }) {
+    this.sessionManager = sessionManager;
+
+    // sessionId -> alerts raised so far, for the summary
+    this.alertCounts = new Map();
+
+    this.subscriptions = [
+      alertEngine.alerts$.subscribe(alert => {
+        this.alertCounts.set(alert.sessionId, (this.alertCounts.get(alert.sessionId) || 0) + 1);
+      }),
+      alertEngine.alerts$.pipe(
+        filter(alert => alert.severity === 'high' && mongoose.isValidObjectId(alert.instituteId)),
+        mergeMap(alert => this.sendAlert(alert))
+      ).subscribe(),
+      sessionManager.sessionEvents$.pipe(
+        filter(event => event.type === 'SESSION_ENDED'),
+        mergeMap(event => this.sendSummary(event.session))
+      ).subscribe()
+    ];
+
+    console.log('Care team notifier initialized');
+  }
+
+  async sendAlert(alert) {
+    try {
+      const institute = await Institute.findById(alert.instituteId);
+      if (!institute || !institute.preferences.notifications) return;
+
+      // The institute login acts as admin, so it hears about alerts too
+      const staff = await Staff.findByInstitute(institute._id);
+      const recipients = [
+        institute,
+        ...staff.filter(member => member.isActive && hasPermission(member, 'alerts:view'))
+      ];
+
+      const session = this.sessionManager.getSession(alert.sessionId);
+      const data = {
+        profileName: alert.profileName || 'a resident',
+        severity: alert.severity,
+        message: alert.message,
+        sessionName: session ? sessionName(session) : 'a music session',
+        raisedAt: alert.timestamp,
+        calmingTrack: alert.calmingTrackId ? trackTitle(session, alert.calmingTrackId) : null
+      };
+
+      await Promise.all(recipients.map(recipient =>
+        sendEmail(recipient.email, 'caregiverAlert', { ...data, name: recipient.name }, {
+          language: institute.preferences.language
+        })
+      ));
+    } catch (error) {
+      console.error(`Failed to email alert for session ${alert.sessionId}:`, error);
+    }
+  }
+
+  async sendSummary(session) {
+    const alertCount = this.alertCounts.get(session.id) || 0;
+    this.alertCounts.delete(session.id);
+
+    if (!mongoose.isValidObjectId(session.createdBy)) return;
+    // Nobody joined and nothing played, so there is nothing to report
+    if (session.participantLog.length === 0 && session.trackHistory.length === 0) return;
+
+    try {
+      const institute = await Institute.findById(session.createdBy);
+      if (!institute || !institute.preferences.notifications) return;
+
+      await sendEmail(institute.email, 'sessionSummary', {
+        name: institute.name,
+        alertCount,
+        ...summarize(session)
+      }, { language: institute.preferences.language });
+    } catch (error) {
+      console.error(`Failed to email summary for session ${session.id}:`, error);
+    }
+  }
+
+  close() {
+    this.subscriptions.forEach(subscription => subscription.unsubscribe());
+    this.alertCounts.clear();
+  }
+}
+
+// What the sessionSummary template shows for an ended session
+export function summarize(session) {
+  const residents = new Set(session.participantLog
+    .filter(participant => participant.profileId)
+    .map(participant => participant.profileId));
+
+  // Mean intensity mapped from the 1-5 scale onto 0-1, as in the analytics
+  const intensities = session.reactions.map(reaction => reaction.intensity || 3);
+  const engagement = intensities.length > 0
+    ? (intensities.reduce((sum, intensity) => sum + intensity, 0) / intensities.length - 1) / 4
+    : null;
+
+  return {
+    sessionName: sessionName(session),
+    endedAt: session.endedAt || Date.now(),
+    durationMinutes: Math.round(((session.endedAt || Date.now()) - session.createdAt) / 60000),
+    participantCount: residents.size,
+    tracksPlayed: session.trackHistory.length,
+    engagement,
+    topTracks: topTracks(session)
+  };
+}
+
+// Sessions have no name of their own, so they go by who was there
+function sessionName(session) {
+  const names = [...new Set(session.participantLog
+    .map(participant => participant.profileName)
+    .filter(Boolean))];
+  return names.length > 0 ? names.join(', ') : 'Music session';
+}
+
+// Titles of the played tracks with the best average reaction
+function topTracks(session) {
+  const scores = new Map();
+  for (const reaction of session.reactions) {
+    const intensities = scores.get(reaction.trackId) || [];
+    intensities.push(reaction.intensity || 3);
+    scores.set(reaction.trackId, intensities);
+  }
+
+  return session.trackHistory
+    .filter((track, index, tracks) => scores.has(track.trackId) &&
+      tracks.findIndex(other => other.trackId === track.trackId) === index)
+    .map(track => ({ track, score: average(scores.get(track.trackId)) }))
+    .filter(({ score }) => score >= 4)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, TOP_TRACKS)
+    .map(({ track }) => track.title || track.trackId);
+}
+
+function trackTitle(session, trackId) {
+  const track = session && session.trackHistory.find(played => played.trackId === trackId);
+  return track && track.title ? track.title : trackId;
+}
+
+function average(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
@@ -1,4 +1,4 @@
-import { BehaviorSubject, Subject, combineLatest, interval } from 'rxjs';
+import { BehaviorSubject, Subject, combineLatest, interval, merge } from 'rxjs';
 import { 
   map, 
   filter, 
@@ -9,6 +9,38 @@ import {
   scan,
   tap
 } from 'rxjs/operators';
+import mongoose from 'mongoose';
+import BlocklistAudit from '../models/BlocklistAudit.js';
+import Preference from '../models/Preference.js';
+import Profile from '../models/Profile.js';
+import Reaction from '../models/Reaction.js';
+import Track from '../models/Track.js';
+
+// Track fields the engine needs for feature vectors, blocklists and incremental sync
+const TRACK_FEATURE_FIELDS = 'artist genre era tags features updatedAt';
+
+// Collaborative filtering tuning
+const MIN_CO_RATED_TRACKS = 3; // Overlap needed before two profiles are compared
+const FULL_CONFIDENCE_OVERLAP = 10; // Overlap at which similarity is no longer damped
+const MAX_NEIGHBOURS = 20;
+const MIN_BASELINE_RATERS = 2; // Raters needed before a track counts as broadly liked
+
+// How much recent activity each session context keeps
+const CONTEXT_RECENT_TRACKS = 10;
+const CONTEXT_RECENT_REACTIONS = 50;
+
+// Scope for callers that have no session or resident to filter for
+const NO_BLOCKLISTS = { sessionId: null, blocklists: [] };
+
+// Track fields returned with hydrated recommendations
+const TRACK_DISPLAY_FIELDS = 'title artist imageUrl duration ytId uri';
+
+// Liked tracks and similar profiles named in each explanation
+const MAX_EXPLAINED_SOURCES = 3;
+
+// What counts as calming music for a distressed resident
+const CALMING_MAX_ENERGY = 0.4;
+const CALMING_MIN_VALENCE = 0.6;
 
 export class MusicRecommendationEngine {
   constructor() {
@@ -19,9 +51,15 @@ export class MusicRecommendationEngine {
     this.realtimeReactions$ = new Subject();
     
     // ML model states (simplified for demo)
+    this.collaborativeRatings = new Map(); // profileId -> trackId -> mean reaction score
+    this.profileInstitutes = new Map(); // profileId -> instituteId, for profiles with ratings
     this.collaborativeModel$ = new BehaviorSubject(new Map());
+    this.collaborativeBaseline$ = new BehaviorSubject(new Map()); // instituteId -> broadly liked tracks
     this.contentModel$ = new BehaviorSubject(new Map());
     
+    // sessionId -> `${profileId}:${trackId}` exclusions already audited
+    this.auditedExclusions = new Map();
+    
     // Recommendation streams
     this.recommendations$ = combineLatest([
       this.userPreferences$,
@@ -41,28 +79,209 @@ export class MusicRecommendationEngine {
     console.log('Reactive Music Recommendation Engine initialized');
   }
   
-  // Initialize the engine with default data and models
+  // Initialize the engine with track data from MongoDB and start model updates
   async initializeEngine() {
-    // Load pre-computed track features (in real app, this would come from DB)
-    const trackFeatures = new Map([
-      ['track1', { genre: 'classical', era: 1960, energy: 0.3, valence: 0.7, tempo: 80 }],
-      ['track2', { genre: 'folk', era: 1970, energy: 0.5, valence: 0.8, tempo: 100 }],
-      ['track3', { genre: 'jazz', era: 1950, energy: 0.6, valence: 0.6, tempo: 120 }],
-      ['track4', { genre: 'blues', era: 1960, energy: 0.4, valence: 0.5, tempo: 90 }],
-      ['track5', { genre: 'classical', era: 1940, energy: 0.2, valence: 0.9, tempo: 70 }]
-    ]);
+    try {
+      await this.loadTrackFeatures();
+      this.startTrackSync();
+    } catch (error) {
+      console.error('Failed to load track features:', error);
+    }
     
-    this.trackFeatures$.next(trackFeatures);
+    try {
+      await this.loadUserPreferences();
+    } catch (error) {
+      console.error('Failed to load user preferences:', error);
+    }
     
-    // Start periodic model updates
-    interval(30000).subscribe(() => {
+    // Build models once up front, then refresh periodically
+    this.updateModels();
+    this.modelUpdates = interval(30000).subscribe(() => {
       this.updateModels();
     });
   }
   
+  // Load features for every active track
+  async loadTrackFeatures() {
+    const tracks = await Track.find({ isActive: true }).select(TRACK_FEATURE_FIELDS);
+    
+    const trackFeatures = new Map();
+    for (const track of tracks) {
+      trackFeatures.set(track._id.toString(), this.extractTrackFeatures(track));
+      this.advanceTrackSync(track.updatedAt);
+    }
+    
+    this.trackFeatures$.next(trackFeatures);
+    console.log(`Loaded features for ${trackFeatures.size} tracks`);
+  }
+  
+  // Restore everything learned about each resident before the last restart
+  async loadUserPreferences() {
+    const rows = await Preference.find({}).select('profile track score').lean();
+    
+    const preferences = new Map();
+    for (const row of rows) {
+      const profileId = row.profile.toString();
+      if (!preferences.has(profileId)) {
+        preferences.set(profileId, new Map());
+      }
+      preferences.get(profileId).set(row.track.toString(), row.score);
+    }
+    
+    this.userPreferences$.next(preferences);
+    console.log(`Loaded ${rows.length} stored preferences for ${preferences.size} profiles`);
+  }
+  
+  // Follow inserts, updates and deactivations through a change stream,
+  // falling back to polling when the deployment isn't a replica set
+  startTrackSync() {
+    try {
+      const changeStream = Track.watch([], { fullDocument: 'updateLookup' });
+      
+      changeStream.on('change', (change) => this.applyTrackChange(change));
+      changeStream.on('error', (error) => {
+        console.warn(`Track change stream unavailable (${error.message}), polling instead`);
+        changeStream.close().catch(() => {});
+        this.trackChangeStream = null;
+        this.startTrackPolling();
+      });
+      
+      this.trackChangeStream = changeStream;
+    } catch (error) {
+      console.warn(`Track change stream unavailable (${error.message}), polling instead`);
+      this.startTrackPolling();
+    }
+  }
+  
+  startTrackPolling() {
+    if (this.trackPolling) return;
+    
+    const pollInterval = parseInt(process.env.TRACK_SYNC_INTERVAL_MS, 10) || 60000;
+    this.trackPolling = interval(pollInterval).subscribe(() => {
+      this.pollTrackChanges().catch(error => {
+        console.error('Track polling error:', error);
+      });
+    });
+  }
+  
+  async pollTrackChanges() {
+    const query = this.lastTrackSync ? { updatedAt: { $gt: this.lastTrackSync } } : {};
+    const tracks = await Track.find(query).select(`${TRACK_FEATURE_FIELDS} isActive`);
+    
+    for (const track of tracks) {
+      this.upsertTrackFeatures(track);
+      this.advanceTrackSync(track.updatedAt);
+    }
+  }
+  
+  applyTrackChange(change) {
+    if (change.operationType === 'delete') {
+      this.removeTrackFeatures(change.documentKey._id.toString());
+      return;
+    }
+    
+    if (change.fullDocument) {
+      this.upsertTrackFeatures(change.fullDocument);
+    } else if (change.documentKey) {
+      // Document vanished before the lookup ran
+      this.removeTrackFeatures(change.documentKey._id.toString());
+    }
+  }
+  
+  upsertTrackFeatures(track) {
+    const trackId = track._id.toString();
+    if (track.isActive === false) {
+      this.removeTrackFeatures(trackId);
+      return;
+    }
+    
+    const trackFeatures = this.trackFeatures$.value;
+    trackFeatures.set(trackId, this.extractTrackFeatures(track));
+    this.trackFeatures$.next(new Map(trackFeatures));
+  }
+  
+  removeTrackFeatures(trackId) {
+    const trackFeatures = this.trackFeatures$.value;
+    if (!trackFeatures.delete(trackId)) return;
+    
+    this.trackFeatures$.next(new Map(trackFeatures));
+  }
+  
+  advanceTrackSync(updatedAt) {
+    if (updatedAt && (!this.lastTrackSync || updatedAt > this.lastTrackSync)) {
+      this.lastTrackSync = updatedAt;
+    }
+  }
+  
+  // Keep sessionContext$ current from what happens in live sessions
+  followSessions(sessionManager) {
+    this.sessionManager = sessionManager;
+    this.sessionFeed = merge(
+      sessionManager.sessionEvents$,
+      sessionManager.userReactions$.pipe(map(reaction => ({ ...reaction, type: 'USER_REACTION' })))
+    ).subscribe(event => this.applySessionEvent(event, sessionManager));
+  }
+  
+  applySessionEvent(event, sessionManager) {
+    if (!event.sessionId) return;
+    
+    const contexts = this.sessionContext$.value;
+    if (event.type === 'SESSION_ENDED') {
+      this.auditedExclusions.delete(event.sessionId);
+      if (contexts.delete(event.sessionId)) {
+        this.sessionContext$.next(new Map(contexts));
+      }
+      return;
+    }
+    
+    // Sessions started on another instance are picked up on their first event here
+    const now = event.timestamp || Date.now();
+    const session = sessionManager.getSession(event.sessionId);
+    const previous = contexts.get(event.sessionId) || {
+      startedAt: session ? session.createdAt : now,
+      lastTracks: [],
+      tracksPlayed: 0,
+      reactionHistory: []
+    };
+    
+    const context = {
+      ...previous,
+      timeOfDay: timeOfDay(now),
+      sessionDuration: now - previous.startedAt
+    };
+    
+    if (event.type === 'TRACK_CHANGED') {
+      context.lastTracks = [...previous.lastTracks, event.track.trackId].slice(-CONTEXT_RECENT_TRACKS);
+      context.tracksPlayed = previous.tracksPlayed + 1;
+    } else if (event.type === 'USER_REACTION') {
+      context.reactionHistory = [...previous.reactionHistory, {
+        trackId: event.trackId,
+        profileId: event.profileId,
+        reaction: event.reaction,
+        intensity: Reaction.scoreFor(event.reaction, event.intensity),
+        timestamp: event.timestamp
+      }].slice(-CONTEXT_RECENT_REACTIONS);
+      
+      const intensities = context.reactionHistory.map(reaction => reaction.intensity);
+      context.averageReaction = intensities.reduce((sum, intensity) => sum + intensity, 0) / intensities.length;
+      context.engagementLevel = (context.averageReaction - 1) / 4; // 1-5 scale onto 0-1
+    }
+    
+    contexts.set(event.sessionId, context);
+    this.sessionContext$.next(new Map(contexts));
+  }
+  
+  // Stop background timers and streams
+  async close() {
+    if (this.sessionFeed) this.sessionFeed.unsubscribe();
+    if (this.modelUpdates) this.modelUpdates.unsubscribe();
+    if (this.trackPolling) this.trackPolling.unsubscribe();
+    if (this.trackChangeStream) await this.trackChangeStream.close();
+  }
+  
   // Process user feedback reactively
   async processUserFeedback(feedbackData) {
-    const { sessionId, trackId, action, timestamp } = feedbackData;
+    const { sessionId, trackId, action, profileId, timestamp } = feedbackData;
     
     // Emit reaction for real-time processing
     this.realtimeReactions$.next({
@@ -74,7 +293,9 @@ export class MusicRecommendationEngine {
     });
     
     // Update user preferences
-    await this.updateUserPreferences(sessionId, trackId, action);
+    if (await this.resolveProfile(profileId)) {
+      await this.updateUserPreferences(profileId, trackId, action);
+    }
     
     // Generate immediate recommendations
     const recommendations = await this.getSessionRecommendations(sessionId);
@@ -92,6 +313,7 @@ export class MusicRecommendationEngine {
     
     // Convert reaction to numerical score
     const score = this.reactionToScore(reaction, intensity);
+    const profile = await this.resolveProfile(profileId);
     
     // Emit for real-time processing
     this.realtimeReactions$.next({
@@ -104,8 +326,10 @@ export class MusicRecommendationEngine {
       intensity
     });
     
-    // Update preferences with weighted score
-    await this.updateUserPreferencesWithScore(profileId, trackId, score);
+    // Only learn preferences for residents that actually exist
+    if (profile) {
+      await this.updateUserPreferencesWithScore(profileId, trackId, score);
+    }
     
     // Get adaptive recommendations
     const nextTracks = await this.getAdaptiveRecommendations(sessionId, profileId, reactionData);
@@ -118,28 +342,65 @@ export class MusicRecommendationEngine {
     };
   }
   
-  // Get session-specific recommendations
-  async getSessionRecommendations(sessionId, profileId = null) {
+  // Get session-specific recommendations. With hydrate (the default) each
+  // one carries its track's details, and inactive or missing tracks are dropped.
+  async getSessionRecommendations(sessionId, profileId = null, { hydrate = true } = {}) {
     const context = this.sessionContext$.value.get(sessionId) || {};
-    const preferences = profileId ? this.userPreferences$.value.get(profileId) : new Map();
+    const profile = await this.resolveProfile(profileId);
+    const preferences = profile ? this.userPreferences$.value.get(profileId) || new Map() : new Map();
+    const scope = await this.blocklistScope(sessionId, profileId);
     
     // Collaborative filtering recommendations
-    const collaborativeRecs = await this.getCollaborativeRecommendations(profileId, 5);
+    const collaborativeRecs = profile
+      ? await this.getCollaborativeRecommendations(profileId, 5, scope, profile.institute)
+      : [];
     
-    // Content-based recommendations
-    const contentRecs = await this.getContentBasedRecommendations(context, preferences, 5);
+    // Content-based recommendations, boosted by the resident's favourite genres
+    const contentContext = profile && profile.favoriteGenres.length > 0
+      ? { ...context, preferredGenres: [...(context.preferredGenres || []), ...profile.favoriteGenres] }
+      : context;
+    const contentRecs = await this.getContentBasedRecommendations(contentContext, preferences, 5, scope);
     
     // Real-time context recommendations
-    const contextRecs = await this.getContextualRecommendations(sessionId, 5);
+    const contextRecs = await this.getContextualRecommendations(sessionId, 5, scope);
     
     // Combine and rank recommendations
     const combinedRecs = this.combineRecommendations([
-      { recommendations: collaborativeRecs, weight: 0.4 },
-      { recommendations: contentRecs, weight: 0.4 },
-      { recommendations: contextRecs, weight: 0.2 }
+      { source: 'collaborative', recommendations: collaborativeRecs, weight: 0.4 },
+      { source: 'content', recommendations: contentRecs, weight: 0.4 },
+      { source: 'contextual', recommendations: contextRecs, weight: 0.2 }
     ]);
     
-    return combinedRecs.slice(0, 10); // Return top 10
+    const ranked = hydrate ? await this.hydrateRecommendations(combinedRecs) : combinedRecs;
+    return ranked.slice(0, 10); // Return top 10
+  }
+  
+  // Attach track details to recommendations with one batched query
+  async hydrateRecommendations(recommendations) {
+    const ids = recommendations
+      .map(rec => rec.trackId)
+      .filter(trackId => mongoose.isValidObjectId(trackId));
+    const tracks = ids.length > 0
+      ? await Track.find({ _id: { $in: ids }, isActive: true }).select(TRACK_DISPLAY_FIELDS)
+      : [];
+    const tracksById = new Map(tracks.map(track => [track._id.toString(), track]));
+    
+    return recommendations
+      .filter(rec => tracksById.has(String(rec.trackId)))
+      .map(rec => {
+        const track = tracksById.get(String(rec.trackId));
+        return {
+          ...rec,
+          track: {
+            title: track.title,
+            artist: track.artist,
+            imageUrl: track.imageUrl,
+            duration: track.duration,
+            ytId: track.ytId,
+            uri: track.uri
+          }
+        };
+      });
   }
   
   // Get adaptive recommendations based on real-time feedback
@@ -151,52 +412,97 @@ export class MusicRecommendationEngine {
       return this.getSessionRecommendations(sessionId, profileId);
     }
     
+    const scope = await this.blocklistScope(sessionId, profileId);
+    
+    // Single-source results share the combined shape, breakdown included
     // If positive reaction, find similar tracks
     if (reaction === 'like' || reaction === 'strongly like' || intensity >= 4) {
-      return this.getSimilarTracks(trackFeatures, 5);
+      const similar = this.getSimilarTracks(trackFeatures, 5, scope)
+        .map(rec => ({ ...rec, explanation: { ...rec.explanation, likedTracks: [trackId] } }));
+      return this.combineRecommendations([{ source: 'similar', recommendations: similar, weight: 1 }]);
     }
     
     // If negative reaction, find contrasting tracks
     if (reaction === 'dislike' || reaction === 'strongly dislike' || intensity <= 2) {
-      return this.getContrastingTracks(trackFeatures, 5);
+      const contrasting = this.getContrastingTracks(trackFeatures, 5, scope);
+      return this.combineRecommendations([{ source: 'contrasting', recommendations: contrasting, weight: 1 }]);
     }
     
     // Neutral reaction - maintain diversity
-    return this.getDiverseRecommendations(sessionId, profileId, 5);
+    const diverse = this.getDiverseRecommendations(sessionId, profileId, 5, scope);
+    return this.combineRecommendations([{ source: 'diverse', recommendations: diverse, weight: 1 }]);
   }
   
-  // Collaborative filtering
-  async getCollaborativeRecommendations(profileId, count) {
-    const collaborativeModel = this.collaborativeModel$.value;
-    const similarUsers = collaborativeModel.get(profileId) || [];
+  // Collaborative filtering. Neighbours and the baseline only ever come from
+  // the resident's own institute, whose profiles the explanation may name.
+  async getCollaborativeRecommendations(profileId, count, scope = NO_BLOCKLISTS, instituteId = this.profileInstitutes.get(profileId)) {
+    const neighbours = this.collaborativeModel$.value.get(profileId) || [];
+    const heard = new Set([
+      ...(this.userPreferences$.value.get(profileId) || new Map()).keys(),
+      ...(this.collaborativeRatings.get(profileId) || new Map()).keys()
+    ]);
+    const trackFeatures = this.trackFeatures$.value;
+    
+    // New profiles without neighbours fall back to what residents broadly enjoy
+    if (neighbours.length === 0) {
+      const baseline = (this.collaborativeBaseline$.value.get(String(instituteId)) || [])
+        .filter(({ trackId }) => !heard.has(trackId) && trackFeatures.has(trackId))
+        .map(({ trackId, score }) => ({
+          trackId,
+          score: ((score - 1) / 4) * 0.5, // Damped: nothing personal behind it yet
+          reason: 'collaborative',
+          explanation: explanation({ features: ['broadly enjoyed by other residents'] })
+        }));
+      return this.excludeBlocked(baseline, scope, count, 'collaborative');
+    }
+    
+    // Predict a rating for each unheard track as the similarity-weighted mean
+    // of the neighbours' scores
+    const predictions = new Map();
+    for (const { profileId: neighbourId, similarity } of neighbours) {
+      const neighbourPrefs = this.collaborativeRatings.get(neighbourId) || new Map();
+      for (const [trackId, score] of neighbourPrefs) {
+        if (heard.has(trackId) || !trackFeatures.has(trackId)) continue;
+        
+        const prediction = predictions.get(trackId) || { weightedSum: 0, weight: 0, likedBy: [] };
+        prediction.weightedSum += score * similarity;
+        prediction.weight += similarity;
+        if (score >= 4) prediction.likedBy.push({ profileId: neighbourId, similarity });
+        predictions.set(trackId, prediction);
+      }
+    }
     
-    // Find tracks liked by similar users
     const recommendations = [];
-    for (const similarUser of similarUsers.slice(0, 5)) {
-      const userPrefs = this.userPreferences$.value.get(similarUser.userId) || new Map();
-      for (const [trackId, score] of userPrefs) {
-        if (score >= 4) { // High rated tracks
-          recommendations.push({
-            trackId,
-            score: score * similarUser.similarity,
-            reason: 'collaborative'
-          });
-        }
+    for (const [trackId, { weightedSum, weight, likedBy }] of predictions) {
+      const predicted = weightedSum / weight;
+      if (predicted >= 3.5) { // Only tracks neighbours liked
+        recommendations.push({
+          trackId,
+          score: (predicted - 1) / 4, // Same 0-1 range as the other sources
+          reason: 'collaborative',
+          explanation: explanation({
+            features: ['liked by residents with similar taste'],
+            similarProfiles: likedBy
+              .sort((a, b) => b.similarity - a.similarity)
+              .slice(0, MAX_EXPLAINED_SOURCES)
+          })
+        });
       }
     }
     
-    return recommendations
-      .sort((a, b) => b.score - a.score)
-      .slice(0, count);
+    return this.excludeBlocked(recommendations.sort((a, b) => b.score - a.score), scope, count, 'collaborative');
   }
   
   // Content-based filtering
-  async getContentBasedRecommendations(context, preferences, count) {
+  async getContentBasedRecommendations(context, preferences, count, scope = NO_BLOCKLISTS) {
     const trackFeatures = this.trackFeatures$.value;
     const recommendations = [];
     
     // Calculate preference vector from user's history
     const preferenceVector = this.calculatePreferenceVector(preferences);
+    const likedTracks = Array.from(preferences)
+      .filter(([trackId, score]) => score >= 4 && trackFeatures.has(trackId))
+      .map(([trackId]) => ({ trackId, features: trackFeatures.get(trackId) }));
     
     // Score all tracks based on content similarity
     for (const [trackId, features] of trackFeatures) {
@@ -206,17 +512,16 @@ export class MusicRecommendationEngine {
       recommendations.push({
         trackId,
         score: similarity * contextBoost,
-        reason: 'content'
+        reason: 'content',
+        explanation: this.explainContentMatch(trackId, features, likedTracks, context)
       });
     }
     
-    return recommendations
-      .sort((a, b) => b.score - a.score)
-      .slice(0, count);
+    return this.excludeBlocked(recommendations.sort((a, b) => b.score - a.score), scope, count, 'content');
   }
   
   // Contextual recommendations based on current session
-  async getContextualRecommendations(sessionId, count) {
+  async getContextualRecommendations(sessionId, count, scope = NO_BLOCKLISTS) {
     const context = this.sessionContext$.value.get(sessionId) || {};
     const { timeOfDay, sessionDuration, averageReaction, lastTracks } = context;
     
@@ -228,34 +533,44 @@ export class MusicRecommendationEngine {
       if (lastTracks && lastTracks.includes(trackId)) continue;
       
       let score = 0.5; // Base score
+      const matched = [];
       
       // Time of day influence
-      if (timeOfDay === 'morning' && features.energy > 0.5) score += 0.2;
-      if (timeOfDay === 'evening' && features.energy < 0.5) score += 0.2;
+      if (timeOfDay === 'morning' && features.energy > 0.5) {
+        score += 0.2;
+        matched.push('high energy for morning');
+      }
+      if (timeOfDay === 'evening' && features.energy < 0.5) {
+        score += 0.2;
+        matched.push('low energy for evening');
+      }
       
       // Session duration influence
       if (sessionDuration > 30 * 60 * 1000) { // More than 30 minutes
         score += features.valence * 0.3; // Prefer positive tracks for long sessions
+        if (features.valence > 0.6) matched.push('uplifting for a long session');
       }
       
       // Average reaction influence
-      if (averageReaction > 3.5 && features.valence > 0.6) score += 0.3;
+      if (averageReaction > 3.5 && features.valence > 0.6) {
+        score += 0.3;
+        matched.push('positive mood while the session is going well');
+      }
       if (averageReaction < 2.5 && features.valence < 0.4) score -= 0.2;
       
       recommendations.push({
         trackId,
         score,
-        reason: 'contextual'
+        reason: 'contextual',
+        explanation: explanation({ features: matched })
       });
     }
     
-    return recommendations
-      .sort((a, b) => b.score - a.score)
-      .slice(0, count);
+    return this.excludeBlocked(recommendations.sort((a, b) => b.score - a.score), scope, count, 'contextual');
   }
   
   // Find tracks similar to the given track
-  getSimilarTracks(targetFeatures, count) {
+  getSimilarTracks(targetFeatures, count, scope = NO_BLOCKLISTS) {
     const trackFeatures = this.trackFeatures$.value;
     const similarities = [];
     
@@ -264,17 +579,40 @@ export class MusicRecommendationEngine {
       similarities.push({
         trackId,
         score: similarity,
-        reason: 'similar'
+        reason: 'similar',
+        explanation: explanation({ features: describeSimilarity(targetFeatures, features, 'a liked track') })
       });
     }
     
-    return similarities
+    const ranked = similarities
       .sort((a, b) => b.score - a.score)
-      .slice(1, count + 1); // Skip the target track itself
+      .slice(1); // Skip the target track itself
+    return this.excludeBlocked(ranked, scope, count, 'similar');
+  }
+  
+  // Best calming track (low energy, high valence), leaning towards ones the
+  // resident is known to like
+  findCalmingTrack(profileId, excludeIds = new Set(), scope = NO_BLOCKLISTS) {
+    const preferences = this.userPreferences$.value.get(profileId) || new Map();
+    const candidates = [];
+    
+    for (const [trackId, features] of this.trackFeatures$.value) {
+      if (excludeIds.has(trackId) || !this.isCalming(features)) continue;
+      
+      const preference = preferences.has(trackId) ? (preferences.get(trackId) - 3) / 4 : 0;
+      candidates.push({ trackId, score: features.valence - features.energy + preference });
+    }
+    
+    const [best] = this.excludeBlocked(candidates.sort((a, b) => b.score - a.score), scope, 1, 'calming');
+    return best ? best.trackId : null;
+  }
+  
+  isCalming(features) {
+    return features.energy <= CALMING_MAX_ENERGY && features.valence >= CALMING_MIN_VALENCE;
   }
   
   // Find tracks contrasting to the given track
-  getContrastingTracks(targetFeatures, count) {
+  getContrastingTracks(targetFeatures, count, scope = NO_BLOCKLISTS) {
     const trackFeatures = this.trackFeatures$.value;
     const contrasts = [];
     
@@ -283,17 +621,16 @@ export class MusicRecommendationEngine {
       contrasts.push({
         trackId,
         score: contrast,
-        reason: 'contrasting'
+        reason: 'contrasting',
+        explanation: explanation({ features: describeContrast(targetFeatures, features) })
       });
     }
     
-    return contrasts
-      .sort((a, b) => b.score - a.score)
-      .slice(0, count);
+    return this.excludeBlocked(contrasts.sort((a, b) => b.score - a.score), scope, count, 'contrasting');
   }
   
   // Get diverse recommendations
-  getDiverseRecommendations(sessionId, profileId, count) {
+  getDiverseRecommendations(sessionId, profileId, count, scope = NO_BLOCKLISTS) {
     const context = this.sessionContext$.value.get(sessionId) || {};
     const playedTracks = context.lastTracks || [];
     
@@ -312,38 +649,220 @@ export class MusicRecommendationEngine {
       genreGroups.get(key).push({ trackId, features });
     }
     
-    // Select one track from each group
-    for (const [group, tracks] of genreGroups) {
+    // Select one random, unblocked track from each group
+    for (const tracks of genreGroups.values()) {
       if (diverse.length >= count) break;
       
-      const randomTrack = tracks[Math.floor(Math.random() * tracks.length)];
+      const shuffled = tracks
+        .map(track => ({ trackId: track.trackId, order: Math.random() }))
+        .sort((a, b) => a.order - b.order);
+      const [randomTrack] = this.excludeBlocked(shuffled, scope, 1, 'diverse');
+      if (!randomTrack) continue;
+      
       diverse.push({
         trackId: randomTrack.trackId,
         score: 0.5 + Math.random() * 0.3, // Add some randomness
-        reason: 'diverse'
+        reason: 'diverse',
+        explanation: explanation({ features: [`adds variety: ${describeGroup(tracks[0].features)}`] })
       });
     }
     
     return diverse.slice(0, count);
   }
   
+  // Build a "life soundtrack" from the resident's reminiscence bump (ages 10-30)
+  async buildLifeSoundtrack(profile, count = 25) {
+    const bumpStart = profile.birthYear + 10;
+    const bumpEnd = profile.birthYear + 30;
+    
+    // Search a decade either side of the bump so sparse catalogues still fill up
+    const eraTracks = await Track.findByEra(bumpStart - 10, bumpEnd + 10);
+    
+    // Leave out anything on the resident's blocklist
+    const scope = this.blocklistScopeFor([profile]);
+    const exclusions = [];
+    const candidates = eraTracks.filter(track => {
+      const match = this.blocklistMatch(scope, track._id.toString(), track);
+      if (match) exclusions.push(match);
+      return !match;
+    });
+    this.recordExclusions(exclusions, scope, 'life-soundtrack');
+    
+    const languages = (profile.preferredLanguages || []).map(language => language.toLowerCase());
+    const genres = profile.favoriteGenres || [];
+    const culturalTags = profile.culturalTags || [];
+    
+    const scored = candidates.map(track => {
+      const features = this.extractTrackFeatures(track);
+      
+      // Full weight inside the bump, fading out over the following decade
+      const yearsOutside = Math.max(0, bumpStart - track.era, track.era - bumpEnd);
+      const eraWeight = 1 - Math.min(yearsOutside, 10) * 0.07;
+      
+      let languageWeight = 1;
+      if (languages.length > 0) {
+        languageWeight = languages.includes((track.language || '').toLowerCase()) ? 1 : 0.5;
+      }
+      
+      let boost = 1;
+      if (track.genre && genres.includes(track.genre.toLowerCase())) boost += 0.2;
+      const tagMatches = (track.tags || []).filter(tag => culturalTags.includes(tag.toLowerCase())).length;
+      boost += Math.min(tagMatches * 0.1, 0.3);
+      
+      return {
+        trackId: track._id.toString(),
+        features,
+        score: eraWeight * languageWeight * boost
+      };
+    });
+    
+    // Greedy selection that penalises near-duplicates of tracks already picked
+    const selected = [];
+    const remaining = scored.sort((a, b) => b.score - a.score);
+    
+    while (selected.length < count && remaining.length > 0) {
+      let bestIndex = 0;
+      let bestScore = -Infinity;
+      
+      remaining.forEach((candidate, index) => {
+        const redundancy = selected.reduce((max, picked) =>
+          Math.max(max, this.calculateContentSimilarity(candidate.features, picked.features)), 0);
+        const adjusted = candidate.score - redundancy * 0.3;
+        
+        if (adjusted > bestScore) {
+          bestScore = adjusted;
+          bestIndex = index;
+        }
+      });
+      
+      selected.push(remaining.splice(bestIndex, 1)[0]);
+    }
+    
+    // Play chronologically so the soundtrack follows the resident's life
+    return selected
+      .sort((a, b) => a.features.era - b.features.era)
+      .map(({ trackId, score }) => ({ trackId, score, reason: 'life-soundtrack' }));
+  }
+  
+  // Blocklists of the resident and of everyone else in the session, since
+  // whatever plays is heard by the whole room
+  async blocklistScope(sessionId, profileId) {
+    const profileIds = new Set(profileId ? [String(profileId)] : []);
+    const session = this.sessionManager && sessionId ? this.sessionManager.getSession(sessionId) : null;
+    if (session) {
+      for (const participant of session.participants.values()) {
+        if (participant.profileId) profileIds.add(String(participant.profileId));
+      }
+    }
+    
+    const ids = [...profileIds].filter(id => mongoose.isValidObjectId(id));
+    const profiles = ids.length > 0
+      ? await Profile.find({ _id: { $in: ids } }).select('institute blocklist')
+      : [];
+    
+    return { ...this.blocklistScopeFor(profiles), sessionId: sessionId || null };
+  }
+  
+  blocklistScopeFor(profiles) {
+    return {
+      sessionId: null,
+      blocklists: profiles
+        .filter(profile => Profile.hasBlocklist(profile.blocklist))
+        .map(profile => ({
+          profileId: profile._id.toString(),
+          instituteId: profile.institute,
+          blocklist: profile.blocklist
+        }))
+    };
+  }
+  
+  // First blocklist in scope that a track falls under
+  blocklistMatch(scope, trackId, track = this.trackFeatures$.value.get(trackId) || {}) {
+    for (const { profileId, instituteId, blocklist } of scope.blocklists) {
+      const match = Profile.matchBlocklist(blocklist, {
+        trackId,
+        artist: track.artist,
+        genre: track.genre,
+        tags: track.tags
+      });
+      if (match) return { ...match, trackId, profileId, instituteId };
+    }
+    return null;
+  }
+  
+  // Take the top `count` of a ranked list, skipping blocked tracks and
+  // auditing each one that would otherwise have been recommended
+  excludeBlocked(ranked, scope, count, source) {
+    if (scope.blocklists.length === 0) return ranked.slice(0, count);
+    
+    const allowed = [];
+    const exclusions = [];
+    for (const recommendation of ranked) {
+      if (allowed.length >= count) break;
+      
+      const match = this.blocklistMatch(scope, recommendation.trackId);
+      if (match) {
+        exclusions.push(match);
+      } else {
+        allowed.push(recommendation);
+      }
+    }
+    
+    this.recordExclusions(exclusions, scope, source);
+    return allowed;
+  }
+  
+  // Recommendations are recalculated on every reaction, so each track is
+  // only sent to the audit log once per session and resident
+  recordExclusions(exclusions, scope, source) {
+    if (scope.sessionId) {
+      const audited = this.auditedExclusions.get(scope.sessionId) || new Set();
+      exclusions = exclusions.filter(({ trackId, profileId }) => {
+        const key = `${profileId}:${trackId}`;
+        if (audited.has(key)) return false;
+        audited.add(key);
+        return true;
+      });
+      this.auditedExclusions.set(scope.sessionId, audited);
+    }
+    
+    BlocklistAudit.record(exclusions.map(({ trackId, profileId, instituteId, rule, value }) => ({
+      institute: instituteId,
+      profile: profileId,
+      sessionId: scope.sessionId,
+      trackId,
+      rule,
+      value,
+      source,
+      action: 'excluded'
+    })));
+  }
+  
   // Combine multiple recommendation sources
+  // Sum weighted scores per track. The breakdown keeps each source's
+  // weighted contribution, and the explanations of every source are merged.
   combineRecommendations(sources) {
     const combined = new Map();
+    const noContribution = Object.fromEntries(sources.map(({ source }) => [source, 0]));
     
-    for (const { recommendations, weight } of sources) {
+    for (const { source, recommendations, weight } of sources) {
       for (const rec of recommendations) {
-        const existing = combined.get(rec.trackId);
-        if (existing) {
-          existing.score += rec.score * weight;
-          existing.reasons.push(rec.reason);
-        } else {
-          combined.set(rec.trackId, {
+        let existing = combined.get(rec.trackId);
+        if (!existing) {
+          existing = {
             trackId: rec.trackId,
-            score: rec.score * weight,
-            reasons: [rec.reason]
-          });
+            score: 0,
+            reasons: [],
+            breakdown: { ...noContribution },
+            explanation: explanation()
+          };
+          combined.set(rec.trackId, existing);
         }
+        
+        existing.score += rec.score * weight;
+        existing.reasons.push(rec.reason);
+        existing.breakdown[source] += rec.score * weight;
+        mergeExplanation(existing.explanation, rec.explanation);
       }
     }
     
@@ -351,6 +870,49 @@ export class MusicRecommendationEngine {
       .sort((a, b) => b.score - a.score);
   }
   
+  // Why a track fits the resident's liked tracks and the session context
+  explainContentMatch(trackId, features, likedTracks, context) {
+    const matched = [];
+    const sources = new Set();
+    const others = likedTracks.filter(liked => liked.trackId !== trackId);
+    
+    const sameGenre = others.filter(liked => features.genre && liked.features.genre === features.genre);
+    if (sameGenre.length > 0) {
+      matched.push('same genre as a liked track');
+      sameGenre.forEach(liked => sources.add(liked.trackId));
+    }
+    
+    const sameEra = others.filter(liked => sameDecade(liked.features, features));
+    if (sameEra.length > 0) {
+      matched.push('same era as a liked track');
+      sameEra.forEach(liked => sources.add(liked.trackId));
+    }
+    
+    if (context.preferredGenres && context.preferredGenres.includes(features.genre)) {
+      matched.push(`${features.genre} is a favourite genre`);
+    }
+    if (context.energyLevel && Math.abs(context.energyLevel - features.energy) < 0.2) {
+      matched.push('energy suits the session');
+    }
+    
+    return explanation({
+      features: matched,
+      likedTracks: [...sources].slice(0, MAX_EXPLAINED_SOURCES)
+    });
+  }
+  
+  // Look up the resident behind a profileId, ignoring unknown or archived ones
+  async resolveProfile(profileId) {
+    if (!profileId) return null;
+    
+    try {
+      return await Profile.findActiveById(profileId);
+    } catch (error) {
+      console.error(`Failed to resolve profile ${profileId}:`, error);
+      return null;
+    }
+  }
+  
   // Helper methods
   getActionWeight(action) {
     const weights = {
@@ -376,10 +938,29 @@ export class MusicRecommendationEngine {
     return intensity || baseScores[reaction] || 3;
   }
   
+  // Flatten a Track document into the feature shape used by the engine
+  extractTrackFeatures(track) {
+    const features = track.features || {};
+    return {
+      artist: track.artist || null,
+      genre: track.genre || null,
+      era: track.era || null,
+      tags: track.tags || [],
+      energy: features.energy,
+      valence: features.valence,
+      tempo: features.tempo,
+      acousticness: features.acousticness,
+      danceability: features.danceability,
+      instrumentalness: features.instrumentalness
+    };
+  }
+  
   calculateContentSimilarity(features1, features2) {
     // Simple cosine similarity for demo
     const genres = features1.genre === features2.genre ? 1 : 0;
-    const eras = 1 - Math.abs(features1.era - features2.era) / 50; // Normalize era difference
+    const eras = features1.era && features2.era
+      ? Math.max(0, 1 - Math.abs(features1.era - features2.era) / 50) // Normalize era difference
+      : 0.5; // Unknown era counts as neither a match nor a mismatch
     const energy = 1 - Math.abs(features1.energy - features2.energy);
     const valence = 1 - Math.abs(features1.valence - features2.valence);
     const tempo = 1 - Math.abs(features1.tempo - features2.tempo) / 100;
@@ -391,12 +972,16 @@ export class MusicRecommendationEngine {
     // Calculate average preferences from user history
     const vector = { genre: new Map(), era: 0, energy: 0, valence: 0, tempo: 0 };
     let count = 0;
+    let eraCount = 0;
     
     for (const [trackId, score] of preferences) {
       const features = this.trackFeatures$.value.get(trackId);
       if (features && score >= 3) { // Only positive ratings
         vector.genre.set(features.genre, (vector.genre.get(features.genre) || 0) + score);
-        vector.era += features.era * score;
+        if (features.era) {
+          vector.era += features.era * score;
+          eraCount += score;
+        }
         vector.energy += features.energy * score;
         vector.valence += features.valence * score;
         vector.tempo += features.tempo * score;
@@ -404,8 +989,11 @@ export class MusicRecommendationEngine {
       }
     }
     
+    if (eraCount > 0) {
+      vector.era /= eraCount;
+    }
+    
     if (count > 0) {
-      vector.era /= count;
       vector.energy /= count;
       vector.valence /= count;
       vector.tempo /= count;
@@ -451,23 +1039,213 @@ export class MusicRecommendationEngine {
   }
   
   // Update methods
-  async updateUserPreferences(sessionId, trackId, action) {
-    // Implementation for updating user preferences
-    // This would typically update the database
+  async updateUserPreferences(profileId, trackId, action) {
+    const weight = this.getActionWeight(action);
+    
+    // Play/pause say little about taste; only learn from deliberate actions
+    if (Math.abs(weight) < 0.5) return;
+    
+    // Map the action weight (-1..1) onto the 1-5 reaction scale
+    await this.updateUserPreferencesWithScore(profileId, trackId, 3 + weight * 2);
   }
   
   async updateUserPreferencesWithScore(profileId, trackId, score) {
+    let storedScore = score;
+    
+    // Write through to MongoDB; the stored row blends in earlier reactions
+    if (mongoose.isValidObjectId(trackId)) {
+      try {
+        const preference = await Preference.recordScore(profileId, trackId, score);
+        storedScore = preference.score;
+      } catch (error) {
+        console.error(`Failed to persist preference for ${profileId}/${trackId}:`, error);
+      }
+    }
+    
     const preferences = this.userPreferences$.value;
     const userPrefs = preferences.get(profileId) || new Map();
     
-    userPrefs.set(trackId, score);
+    userPrefs.set(trackId, storedScore);
     preferences.set(profileId, userPrefs);
     this.userPreferences$.next(new Map(preferences));
   }
   
-  updateModels() {
-    // Placeholder for ML model updates
-    console.log('Updating ML models with latest data...');
+  // Rebuild the collaborative model from the stored reaction history. The
+  // previous model stays in place if the database can't be read.
+  async updateModels() {
+    try {
+      const { ratings, institutes } = await this.loadReactionRatings();
+      
+      this.collaborativeRatings = ratings;
+      this.profileInstitutes = institutes;
+      this.collaborativeModel$.next(this.buildCollaborativeModel(ratings, institutes));
+      this.collaborativeBaseline$.next(this.buildCollaborativeBaseline(ratings, institutes));
+    } catch (error) {
+      console.error('Failed to update recommendation models:', error);
+    }
+  }
+  
+  async loadReactionRatings() {
+    const rows = await Reaction.aggregateRatings();
+    
+    const ratings = new Map();
+    const institutes = new Map();
+    for (const row of rows) {
+      const profileId = row.profileId.toString();
+      ratings.set(profileId, new Map(row.ratings.map(({ trackId, score }) => [trackId, score])));
+      institutes.set(profileId, String(row.instituteId));
+    }
+    return { ratings, institutes };
   }
+  
+  // Profile-to-profile cosine similarity over co-rated tracks. Scores are
+  // centred on neutral (3) so shared dislikes count as agreement too.
+  // Profiles are only compared within their own institute.
+  buildCollaborativeModel(ratings, institutes) {
+    // Accumulate dot products per profile pair via an inverted index of
+    // each institute's tracks
+    const ratersByTrack = new Map();
+    for (const [profileId, prefs] of ratings) {
+      for (const [trackId, score] of prefs) {
+        const key = `${institutes.get(profileId)}|${trackId}`;
+        if (!ratersByTrack.has(key)) ratersByTrack.set(key, []);
+        ratersByTrack.get(key).push({ profileId, centred: score - 3 });
+      }
+    }
+    
+    const pairs = new Map();
+    for (const raters of ratersByTrack.values()) {
+      for (let i = 0; i < raters.length; i++) {
+        for (let j = i + 1; j < raters.length; j++) {
+          const [a, b] = raters[i].profileId < raters[j].profileId
+            ? [raters[i], raters[j]]
+            : [raters[j], raters[i]];
+          const key = `${a.profileId}|${b.profileId}`;
+          const pair = pairs.get(key) || { a: a.profileId, b: b.profileId, overlap: 0, dot: 0, normA: 0, normB: 0 };
+          
+          pair.overlap++;
+          pair.dot += a.centred * b.centred;
+          pair.normA += a.centred * a.centred;
+          pair.normB += b.centred * b.centred;
+          pairs.set(key, pair);
+        }
+      }
+    }
+    
+    const neighbours = new Map();
+    for (const pair of pairs.values()) {
+      if (pair.overlap < MIN_CO_RATED_TRACKS || pair.normA === 0 || pair.normB === 0) continue;
+      
+      // Damp similarities that rest on only a handful of shared tracks
+      const cosine = pair.dot / Math.sqrt(pair.normA * pair.normB);
+      const similarity = cosine * Math.min(pair.overlap, FULL_CONFIDENCE_OVERLAP) / FULL_CONFIDENCE_OVERLAP;
+      if (similarity <= 0) continue;
+      
+      for (const [from, to] of [[pair.a, pair.b], [pair.b, pair.a]]) {
+        if (!neighbours.has(from)) neighbours.set(from, []);
+        neighbours.get(from).push({ profileId: to, similarity, overlap: pair.overlap });
+      }
+    }
+    
+    for (const [profileId, list] of neighbours) {
+      neighbours.set(profileId, list
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, MAX_NEIGHBOURS));
+    }
+    
+    return neighbours;
+  }
+  
+  // Tracks each institute's residents broadly enjoy, ranked by a mean
+  // shrunk towards neutral
+  buildCollaborativeBaseline(ratings, institutes) {
+    const totalsByInstitute = new Map();
+    for (const [profileId, prefs] of ratings) {
+      const instituteId = institutes.get(profileId);
+      if (!totalsByInstitute.has(instituteId)) totalsByInstitute.set(instituteId, new Map());
+      
+      const totals = totalsByInstitute.get(instituteId);
+      for (const [trackId, score] of prefs) {
+        const total = totals.get(trackId) || { sum: 0, raters: 0 };
+        total.sum += score;
+        total.raters++;
+        totals.set(trackId, total);
+      }
+    }
+    
+    const baselines = new Map();
+    for (const [instituteId, totals] of totalsByInstitute) {
+      const baseline = [];
+      for (const [trackId, { sum, raters }] of totals) {
+        if (raters < MIN_BASELINE_RATERS) continue;
+        
+        const score = (sum + 3 * MIN_BASELINE_RATERS) / (raters + MIN_BASELINE_RATERS);
+        if (score > 3) baseline.push({ trackId, score });
+      }
+      baselines.set(instituteId, baseline.sort((a, b) => b.score - a.score));
+    }
+    
+    return baselines;
+  }
+}
+
+function timeOfDay(timestamp) {
+  const hour = new Date(timestamp).getHours();
+  if (hour < 12) return 'morning';
+  if (hour < 17) return 'afternoon';
+  return 'evening';
 }
 
+function explanation({ features = [], likedTracks = [], similarProfiles = [] } = {}) {
+  return { features, likedTracks, similarProfiles };
+}
+
+function mergeExplanation(target, source) {
+  if (!source) return;
+  
+  for (const feature of source.features) {
+    if (!target.features.includes(feature)) target.features.push(feature);
+  }
+  for (const trackId of source.likedTracks) {
+    if (!target.likedTracks.includes(trackId) && target.likedTracks.length < MAX_EXPLAINED_SOURCES) {
+      target.likedTracks.push(trackId);
+    }
+  }
+  for (const profile of source.similarProfiles) {
+    if (!target.similarProfiles.some(({ profileId }) => profileId === profile.profileId) &&
+        target.similarProfiles.length < MAX_EXPLAINED_SOURCES) {
+      target.similarProfiles.push(profile);
+    }
+  }
+}
+
+function sameDecade(features1, features2) {
+  return Boolean(features1.era && features2.era) &&
+    Math.floor(features1.era / 10) === Math.floor(features2.era / 10);
+}
+
+function describeGroup(features) {
+  const decade = features.era ? `${Math.floor(features.era / 10) * 10}s` : null;
+  return [features.genre, decade].filter(Boolean).join(' from the ') || 'a different style';
+}
+
+// Features a track shares with the one it was matched against
+function describeSimilarity(target, features, label) {
+  const matched = [];
+  if (target.genre && features.genre === target.genre) matched.push(`same genre as ${label}`);
+  if (sameDecade(target, features)) matched.push(`same era as ${label}`);
+  if (Math.abs(target.energy - features.energy) < 0.15) matched.push(`similar energy to ${label}`);
+  if (Math.abs(target.valence - features.valence) < 0.15) matched.push(`similar mood to ${label}`);
+  return matched;
+}
+
+// How a track differs from one the resident disliked
+function describeContrast(target, features) {
+  const matched = [];
+  if (features.genre !== target.genre) matched.push('different genre from a disliked track');
+  if (!sameDecade(target, features)) matched.push('different era from a disliked track');
+  if (features.energy < target.energy - 0.2) matched.push('calmer than a disliked track');
+  if (features.energy > target.energy + 0.2) matched.push('livelier than a disliked track');
+  if (features.valence > target.valence + 0.2) matched.push('more uplifting than a disliked track');
+  return matched;
+}
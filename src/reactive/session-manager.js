@@ -1,9 +1,38 @@
-import { BehaviorSubject, Subject, combineLatest } from 'rxjs';
-import { map, filter, scan, startWith } from 'rxjs/operators';
+import { BehaviorSubject, Subject, combineLatest, interval } from 'rxjs';
+import { map, filter, scan, startWith, mergeMap } from 'rxjs/operators';
 import { v4 as uuidv4 } from 'uuid';
+import mongoose from 'mongoose';
+import BlocklistAudit from '../models/BlocklistAudit.js';
+import Profile from '../models/Profile.js';
+import Reaction from '../models/Reaction.js';
+import SessionRecord from '../models/SessionRecord.js';
+import Track from '../models/Track.js';
+import { MemorySessionStore, serializeSession, deserializeSession } from './session-store.js';
+
+const PLAYBACK_ACTIONS = ['PLAY', 'PAUSE', 'SEEK', 'NEXT', 'SKIP'];
+const MIN_PLAYBACK_RATE = 0.5;
+const MAX_PLAYBACK_RATE = 2;
+
+// Recommendations added at a time once the queue runs dry
+const RECOMMENDED_QUEUE_SIZE = 5;
+
+// How long a session's host keeps autoplay without renewing its lease
+const HOST_LEASE_MS = parseInt(process.env.HOST_LEASE_MS) || 15000;
 
 export class ReactiveSessionManager {
-  constructor() {
+  constructor(options = {}) {
+    // Pluggable backend (memory or Redis) shared by every server instance
+    this.store = options.store || new MemorySessionStore();
+    this.instanceId = uuidv4();
+    this.hostLeaseMs = options.hostLeaseMs || HOST_LEASE_MS;
+    this.hostedSessions = new Set(); // sessions whose autoplay runs on this instance
+    
+    // Source of tracks once a session's queue runs dry: (sessionId, profileId) => recommendations
+    this.recommendTracks = options.recommendTracks || null;
+    this.playbackTimers = new Map(); // sessionId -> timer for the end of the current track
+    this.advancing = new Set(); // sessions with an automatic track change in flight
+    this.playbackCommands = new Map(); // sessionId -> last queued playback command
+    
     // Reactive state for all sessions
     this.sessions$ = new BehaviorSubject(new Map());
     this.userReactions$ = new Subject();
@@ -29,18 +58,198 @@ export class ReactiveSessionManager {
     this.activeSessions = new Map();
     this.userSessions = new Map(); // userId -> sessionId mapping
     
+    // Persist every ended session for history and reports
+    this.sessionRecords = this.sessionEvents$.pipe(
+      filter(event => event.type === 'SESSION_ENDED'),
+      mergeMap(event => this.saveSessionRecord(event.session, event.finalMetrics))
+    ).subscribe();
+    
+    // Store reactions as they happen so analytics never waits for a session to end
+    this.reactionRecords = this.userReactions$.pipe(
+      mergeMap(reaction => this.saveReaction(reaction))
+    ).subscribe();
+    
     console.log('ReactiveSessionManager initialized');
   }
   
+  // Load shared state and follow changes made by other instances
+  async connectStore() {
+    const { sessions, userSessions } = await this.store.loadAll();
+    
+    for (const session of sessions) {
+      this.cacheSession(this.restoreReactions(session, session.reactions));
+    }
+    for (const [userId, sessionId] of userSessions) {
+      this.userSessions.set(userId, sessionId);
+    }
+    
+    await this.store.subscribe('sessions', (message) => this.applyRemoteChange(message));
+    
+    // Sessions loaded here may have lost their host; bid for them straight away
+    await this.renewHostLeases();
+    this.leaseRenewals = interval(this.hostLeaseMs / 3).subscribe(() => this.renewHostLeases());
+    
+    console.log(`Session store ready with ${sessions.length} active sessions`);
+  }
+  
+  // Every instance bids for the host lease of each session; the holder runs
+  // its autoplay. If the host dies its lease lapses and another takes over.
+  async renewHostLeases() {
+    await Promise.all(Array.from(this.activeSessions.keys()).map(async (sessionId) => {
+      try {
+        const acquired = await this.store.acquireLease(hostLeaseName(sessionId), this.instanceId, this.hostLeaseMs);
+        const session = this.activeSessions.get(sessionId);
+        if (!session) return;
+        
+        if (acquired && !this.hostedSessions.has(sessionId)) {
+          this.hostedSessions.add(sessionId);
+          this.checkAutoplay(session);
+        } else if (!acquired && this.hostedSessions.has(sessionId)) {
+          this.hostedSessions.delete(sessionId);
+          this.checkAutoplay(session);
+        }
+      } catch (error) {
+        console.error(`Failed to renew host lease for session ${sessionId}:`, error);
+      }
+    }));
+  }
+  
+  // Stop hosting, handing sessions over to the remaining instances
+  async close() {
+    if (this.leaseRenewals) this.leaseRenewals.unsubscribe();
+    this.playbackTimers.forEach(timer => clearTimeout(timer));
+    this.playbackTimers.clear();
+    
+    const hosted = Array.from(this.hostedSessions);
+    this.hostedSessions.clear();
+    await Promise.all(hosted.map(sessionId => this.store.releaseLease(hostLeaseName(sessionId), this.instanceId)
+      .catch(error => console.error(`Failed to release host lease for session ${sessionId}:`, error))));
+  }
+  
+  applyRemoteChange(message) {
+    if (message.origin === this.instanceId) return;
+    
+    switch (message.type) {
+      case 'SESSION_SAVED': {
+        // Snapshots carry no reactions; keep the ones already applied here
+        const session = deserializeSession(message.session);
+        const cached = this.activeSessions.get(session.id);
+        this.cacheSession(this.restoreReactions(session, cached ? cached.reactions : []));
+        break;
+      }
+      case 'REACTION_ADDED': {
+        const session = this.activeSessions.get(message.sessionId);
+        if (session) {
+          this.applyReaction(session, message.reaction);
+          this.cacheSession(session);
+        }
+        break;
+      }
+      case 'SESSION_REMOVED':
+        this.uncacheSession(message.sessionId);
+        break;
+      case 'USER_SESSION_SET':
+        this.userSessions.set(message.userId, message.sessionId);
+        break;
+      case 'USER_SESSION_DELETED':
+        this.userSessions.delete(message.userId);
+        break;
+    }
+  }
+  
+  // Write a session through to the store and tell the other instances.
+  // Writes are whole-session snapshots, so the last writer wins; reactions,
+  // which arrive concurrently, are appended separately in updateUserReaction.
+  commitSession(session) {
+    this.cacheSession(session);
+    
+    this.store.saveSession(session)
+      .then(() => this.store.publish('sessions', {
+        type: 'SESSION_SAVED',
+        origin: this.instanceId,
+        session: serializeSession(session)
+      }))
+      .catch(error => console.error(`Failed to store session ${session.id}:`, error));
+  }
+  
+  removeSession(sessionId) {
+    this.uncacheSession(sessionId);
+    
+    this.store.deleteSession(sessionId)
+      .then(() => this.store.publish('sessions', {
+        type: 'SESSION_REMOVED',
+        origin: this.instanceId,
+        sessionId
+      }))
+      .catch(error => console.error(`Failed to remove session ${sessionId}:`, error));
+  }
+  
+  setUserSession(userId, sessionId) {
+    this.userSessions.set(userId, sessionId);
+    
+    this.store.setUserSession(userId, sessionId)
+      .then(() => this.store.publish('sessions', {
+        type: 'USER_SESSION_SET',
+        origin: this.instanceId,
+        userId,
+        sessionId
+      }))
+      .catch(error => console.error(`Failed to store session for user ${userId}:`, error));
+  }
+  
+  deleteUserSession(userId) {
+    this.userSessions.delete(userId);
+    
+    this.store.deleteUserSession(userId)
+      .then(() => this.store.publish('sessions', {
+        type: 'USER_SESSION_DELETED',
+        origin: this.instanceId,
+        userId
+      }))
+      .catch(error => console.error(`Failed to remove session for user ${userId}:`, error));
+  }
+  
+  cacheSession(session) {
+    this.activeSessions.set(session.id, session);
+    
+    const currentSessions = this.sessions$.value;
+    currentSessions.set(session.id, session);
+    this.sessions$.next(new Map(currentSessions));
+    
+    this.checkAutoplay(session);
+  }
+  
+  uncacheSession(sessionId) {
+    clearTimeout(this.playbackTimers.get(sessionId));
+    this.playbackTimers.delete(sessionId);
+    this.activeSessions.delete(sessionId);
+    
+    if (this.hostedSessions.delete(sessionId)) {
+      this.store.releaseLease(hostLeaseName(sessionId), this.instanceId)
+        .catch(error => console.error(`Failed to release host lease for session ${sessionId}:`, error));
+    }
+    
+    const currentSessions = this.sessions$.value;
+    currentSessions.delete(sessionId);
+    this.sessions$.next(new Map(currentSessions));
+  }
+  
   // Create a new music therapy session
   createSession(options = {}) {
     const sessionId = options.sessionId || uuidv4();
     const session = {
       id: sessionId,
       createdAt: Date.now(),
+      createdBy: options.createdBy || null,
       participants: new Map(),
+      participantLog: [],
       currentTrack: null,
-      playlist: [],
+      playback: idlePlayback(Date.now()),
+      trackHistory: [],
+      playlistId: options.playlistId || null,
+      playlist: options.playlist ? [...options.playlist] : [],
+      queue: (options.playlist || []).map(trackId => ({ trackId, source: 'playlist', pinned: false })),
+      vetoed: [],
       reactions: [],
       metrics: {
         totalDuration: 0,
@@ -57,12 +266,13 @@ export class ReactiveSessionManager {
       }
     };
     
-    this.activeSessions.set(sessionId, session);
+    // The creating instance hosts the session until its lease lapses
+    this.hostedSessions.add(sessionId);
+    this.store.acquireLease(hostLeaseName(sessionId), this.instanceId, this.hostLeaseMs)
+      .catch(error => console.error(`Failed to take host lease for session ${sessionId}:`, error));
     
     // Update reactive state
-    const currentSessions = this.sessions$.value;
-    currentSessions.set(sessionId, session);
-    this.sessions$.next(new Map(currentSessions));
+    this.commitSession(session);
     
     // Emit session event
     this.sessionEvents$.next({
@@ -79,29 +289,52 @@ export class ReactiveSessionManager {
   async joinSession(sessionId, userInfo) {
     const session = this.activeSessions.get(sessionId);
     if (!session) {
-      throw new Error(`Session ${sessionId} not found`);
+      throw notFoundError(`Session ${sessionId} not found`);
     }
     
-    const { userId, profileId, connectionId } = userInfo;
+    const { userId, profileId, connectionId, instituteId } = userInfo;
+    
+    // Resolve the profile so participants always point at a real resident
+    let profile = null;
+    if (profileId) {
+      profile = await Profile.findForInstitute(profileId, instituteId);
+      if (!profile || profile.isArchived) {
+        throw notFoundError(`Profile ${profileId} not found`);
+      }
+    }
     
-    // Add participant
-    session.participants.set(userId, {
+    // Participants are keyed by connection, so two tablets on the same login
+    // (or one staff member joining twice) each keep their own place
+    const joinedAt = Date.now();
+    session.participants.set(connectionId, {
       userId,
       profileId,
+      profileName: profile ? profile.name : null,
+      // Kept with the participant so track changes can be checked without a
+      // lookup; updateParticipantBlocklist keeps it current
+      blocklist: profile ? participantBlocklist(profile) : null,
       connectionId,
-      joinedAt: Date.now(),
+      joinedAt,
       reactions: [],
       currentEngagement: 0,
       totalListeningTime: 0
     });
     
+    this.closeParticipantLog(session, connectionId, joinedAt);
+    session.participantLog.push({
+      userId,
+      connectionId,
+      profileId,
+      profileName: profile ? profile.name : null,
+      joinedAt,
+      leftAt: null
+    });
+    
     // Update user session mapping
-    this.userSessions.set(userId, sessionId);
+    this.setUserSession(userId, sessionId);
     
     // Update reactive state
-    const currentSessions = this.sessions$.value;
-    currentSessions.set(sessionId, session);
-    this.sessions$.next(new Map(currentSessions));
+    this.commitSession(session);
     
     // Emit session event
     this.sessionEvents$.next({
@@ -109,6 +342,7 @@ export class ReactiveSessionManager {
       sessionId,
       userId,
       profileId,
+      connectionId,
       timestamp: Date.now()
     });
     
@@ -121,39 +355,44 @@ export class ReactiveSessionManager {
     const session = this.activeSessions.get(sessionId);
     if (!session) return;
     
-    // Find user by connection ID
-    let userIdToRemove = null;
-    for (const [userId, participant] of session.participants) {
-      if (participant.connectionId === connectionId) {
-        userIdToRemove = userId;
-        break;
-      }
+    const participant = session.participants.get(connectionId);
+    if (!participant) return;
+    
+    const { userId } = participant;
+    session.participants.delete(connectionId);
+    this.closeParticipantLog(session, connectionId, Date.now());
+    
+    // The user may still be in the session from another connection
+    if (!this.hasUserConnection(session, userId)) {
+      this.deleteUserSession(userId);
     }
     
-    if (userIdToRemove) {
-      session.participants.delete(userIdToRemove);
-      this.userSessions.delete(userIdToRemove);
-      
-      // Update reactive state
-      const currentSessions = this.sessions$.value;
-      currentSessions.set(sessionId, session);
-      this.sessions$.next(new Map(currentSessions));
-      
-      // Emit session event
-      this.sessionEvents$.next({
-        type: 'USER_LEFT',
-        sessionId,
-        userId: userIdToRemove,
-        timestamp: Date.now()
-      });
-      
-      console.log(`User ${userIdToRemove} left session ${sessionId}`);
-      
-      // Clean up empty sessions
-      if (session.participants.size === 0) {
-        this.endSession(sessionId);
-      }
+    // Update reactive state
+    this.commitSession(session);
+    
+    // Emit session event
+    this.sessionEvents$.next({
+      type: 'USER_LEFT',
+      sessionId,
+      userId,
+      connectionId,
+      timestamp: Date.now()
+    });
+    
+    console.log(`User ${userId} left session ${sessionId}`);
+    
+    // Clean up empty sessions
+    if (session.participants.size === 0) {
+      this.endSession(sessionId);
+    }
+  }
+  
+  // Whether the user still has a connection in the session
+  hasUserConnection(session, userId) {
+    for (const participant of session.participants.values()) {
+      if (participant.userId === userId) return true;
     }
+    return false;
   }
   
   // Update user reaction
@@ -161,33 +400,22 @@ export class ReactiveSessionManager {
     const session = this.activeSessions.get(sessionId);
     if (!session) return;
     
-    const { trackId, reaction, intensity, profileId, timestamp } = reactionData;
-    
-    // Add to session reactions
-    session.reactions.push({
-      trackId,
-      reaction,
-      intensity,
-      profileId,
-      timestamp
-    });
-    
-    // Update participant data
-    for (const [userId, participant] of session.participants) {
-      if (participant.profileId === profileId) {
-        participant.reactions.push(reactionData);
-        participant.currentEngagement = this.calculateEngagement(participant.reactions);
-        break;
-      }
-    }
+    const { trackId, reaction, intensity, profileId, connectionId, timestamp } = reactionData;
+    const entry = { trackId, reaction, intensity, profileId, connectionId, timestamp };
     
-    // Update session metrics
-    this.updateSessionMetrics(session, reactionData);
+    this.applyReaction(session, entry);
+    this.cacheSession(session);
     
-    // Update reactive state
-    const currentSessions = this.sessions$.value;
-    currentSessions.set(sessionId, session);
-    this.sessions$.next(new Map(currentSessions));
+    // Appended rather than saved with the snapshot, so reactions arriving on
+    // different instances at the same time are all kept
+    this.store.appendReaction(sessionId, entry)
+      .then(() => this.store.publish('sessions', {
+        type: 'REACTION_ADDED',
+        origin: this.instanceId,
+        sessionId,
+        reaction: entry
+      }))
+      .catch(error => console.error(`Failed to store reaction in session ${sessionId}:`, error));
     
     // Emit reaction event
     this.userReactions$.next({
@@ -198,32 +426,477 @@ export class ReactiveSessionManager {
     console.log(`Reaction updated in session ${sessionId}: ${reaction} (${intensity})`);
   }
   
+  // Add a reaction to the session, its participant and the metrics
+  applyReaction(session, reaction) {
+    session.reactions.push(reaction);
+    
+    // Credit the connection that reacted; reactions from elsewhere go to the
+    // first connection seating the resident
+    let participant = session.participants.get(reaction.connectionId);
+    if (!participant || participant.profileId !== reaction.profileId) {
+      participant = Array.from(session.participants.values())
+        .find(candidate => candidate.profileId === reaction.profileId);
+    }
+    if (participant) {
+      participant.reactions.push(reaction);
+      participant.currentEngagement = this.calculateEngagement(participant.reactions);
+    }
+    
+    this.updateSessionMetrics(session, reaction);
+  }
+  
+  // Snapshots leave reactions out; put them back and rebuild what depends on them
+  restoreReactions(session, reactions) {
+    const restored = [...reactions];
+    
+    session.reactions = [];
+    session.metrics = { ...session.metrics, positiveReactions: 0, negativeReactions: 0 };
+    for (const participant of session.participants.values()) {
+      participant.reactions = [];
+      participant.currentEngagement = 0;
+    }
+    
+    restored.forEach(reaction => this.applyReaction(session, reaction));
+    return session;
+  }
+  
   // Update currently playing track
   updateCurrentTrack(sessionId, trackInfo) {
     const session = this.activeSessions.get(sessionId);
     if (!session) return;
     
+    const startedAt = Date.now();
+    this.closeTrackHistory(session, startedAt);
+    
     session.currentTrack = {
       ...trackInfo,
-      startedAt: Date.now()
+      startedAt
+    };
+    session.playback = {
+      trackId: trackInfo.trackId,
+      positionMs: 0,
+      paused: false,
+      rate: session.playback ? session.playback.rate : 1,
+      durationMs: trackInfo.duration ? trackInfo.duration * 1000 : null,
+      updatedAt: startedAt
     };
+    session.trackHistory.push({
+      trackId: trackInfo.trackId,
+      title: trackInfo.title,
+      artist: trackInfo.artist,
+      startedAt,
+      endedAt: null
+    });
     
     session.metrics.tracksPlayed++;
     
     // Update reactive state
-    const currentSessions = this.sessions$.value;
-    currentSessions.set(sessionId, session);
-    this.sessions$.next(new Map(currentSessions));
+    this.commitSession(session);
     
     // Emit session event
     this.sessionEvents$.next({
       type: 'TRACK_CHANGED',
       sessionId,
       track: trackInfo,
+      playback: playbackState(session, startedAt),
       timestamp: Date.now()
     });
     
     console.log(`Track updated in session ${sessionId}: ${trackInfo.title}`);
+    
+    // Tracks chosen by hand are still played, but caregivers are warned
+    const matches = this.blocklistMatches(session, trackInfo);
+    if (matches.length > 0) {
+      console.warn(`Track ${trackInfo.trackId} in session ${sessionId} is on the blocklist of ${matches.length} participant(s)`);
+      this.recordBlocklistHits(session, trackInfo, matches, 'session-track', 'warned');
+      this.sessionEvents$.next({
+        type: 'BLOCKLIST_WARNING',
+        sessionId,
+        trackId: trackInfo.trackId,
+        matches: matches.map(({ profileId, rule, value }) => ({ profileId, rule, value })),
+        timestamp: Date.now()
+      });
+    }
+    
+    return matches;
+  }
+  
+  // Apply a PLAY, PAUSE, SEEK or NEXT/SKIP command to the shared playback clock.
+  // Commands for one session run one at a time, in the order they were issued,
+  // so an automatic skip can't land on top of a later calming track.
+  controlPlayback(sessionId, command) {
+    const previous = this.playbackCommands.get(sessionId) || Promise.resolve();
+    const result = previous
+      .catch(() => {})
+      .then(() => this.applyPlaybackCommand(sessionId, command));
+    
+    this.playbackCommands.set(sessionId, result);
+    result
+      .finally(() => {
+        if (this.playbackCommands.get(sessionId) === result) {
+          this.playbackCommands.delete(sessionId);
+        }
+      })
+      .catch(() => {});
+    
+    return result;
+  }
+  
+  async applyPlaybackCommand(sessionId, command) {
+    const { action, trackId, positionMs, rate, reason = null } = command;
+    
+    if (!PLAYBACK_ACTIONS.includes(action)) {
+      throw badRequestError(`Unknown playback action ${action}`);
+    }
+    if (action === 'SEEK' && !(typeof positionMs === 'number' && positionMs >= 0)) {
+      throw badRequestError('SEEK requires a positionMs of 0 or more');
+    }
+    if (rate !== undefined && !(typeof rate === 'number' && rate >= MIN_PLAYBACK_RATE && rate <= MAX_PLAYBACK_RATE)) {
+      throw badRequestError(`Playback rate must be between ${MIN_PLAYBACK_RATE} and ${MAX_PLAYBACK_RATE}`);
+    }
+    
+    let session = this.activeSessions.get(sessionId);
+    if (!session) {
+      throw notFoundError(`Session ${sessionId} not found`);
+    }
+    
+    // Work out whether the command moves to another track
+    const currentTrackId = playbackState(session).trackId;
+    let trackInfo = null;
+    if (action === 'NEXT' || action === 'SKIP') {
+      trackInfo = await this.nextQueuedTrack(sessionId);
+    } else if (action === 'PLAY') {
+      if (trackId && trackId !== currentTrackId) {
+        trackInfo = await this.findTrackInfo(trackId);
+      } else if (!currentTrackId) {
+        trackInfo = await this.nextQueuedTrack(sessionId);
+        if (!trackInfo) throw badRequestError('No track to play');
+      }
+    }
+    
+    // Track changes go through updateCurrentTrack so history and metrics stay complete
+    if (trackInfo) {
+      session = this.activeSessions.get(sessionId);
+      if (!session) {
+        throw notFoundError(`Session ${sessionId} not found`);
+      }
+      
+      // A track picked by hand no longer needs its place in the queue
+      session.queue = session.queue.filter(entry => entry.trackId !== trackInfo.trackId);
+      this.updateCurrentTrack(sessionId, trackInfo);
+      this.emitQueueUpdated(session);
+    }
+    
+    // Re-anchor the clock at the current position before changing it
+    const now = Date.now();
+    const playback = {
+      ...(session.playback || idlePlayback(now)),
+      positionMs: playbackState(session, now).positionMs,
+      updatedAt: now
+    };
+    
+    if (action === 'PLAY') {
+      playback.paused = false;
+    } else if (action === 'PAUSE') {
+      playback.paused = true;
+    } else if (action === 'SEEK') {
+      playback.positionMs = playback.durationMs ? Math.min(positionMs, playback.durationMs) : positionMs;
+    } else if (!trackInfo) {
+      // NEXT with nothing left to play stops playback
+      this.closeTrackHistory(session, now);
+      session.currentTrack = null;
+      Object.assign(playback, idlePlayback(now), { rate: playback.rate });
+    }
+    if (rate !== undefined) {
+      playback.rate = rate;
+    }
+    
+    session.playback = playback;
+    
+    // Update reactive state
+    this.commitSession(session);
+    
+    const state = playbackState(session, now);
+    this.sessionEvents$.next({
+      type: 'PLAYBACK_CHANGED',
+      sessionId,
+      action,
+      reason,
+      playback: state,
+      timestamp: now
+    });
+    
+    return state;
+  }
+  
+  // Authoritative playback position, stamped with the server time it refers to
+  getPlaybackState(sessionId, now = Date.now()) {
+    const session = this.activeSessions.get(sessionId);
+    return session ? playbackState(session, now) : null;
+  }
+  
+  // Take the next track off the queue, topping it up with recommendations
+  // for the people in the session once the playlist has run out. Queued
+  // tracks on a participant's blocklist are skipped rather than played.
+  async nextQueuedTrack(sessionId) {
+    let session = this.activeSessions.get(sessionId);
+    if (!session) return null;
+    
+    if (session.queue.length === 0 && this.recommendTracks) {
+      const recommended = await this.recommendForSession(session);
+      session = this.activeSessions.get(sessionId);
+      if (!session) return null;
+      
+      for (const trackId of recommended) {
+        if (!session.queue.some(entry => entry.trackId === trackId)) {
+          session.queue.push({ trackId, source: 'recommendation', pinned: false });
+        }
+      }
+    }
+    
+    while (session.queue.length > 0) {
+      const { trackId } = session.queue.shift();
+      const trackInfo = await this.findTrackInfo(trackId);
+      const matches = this.blocklistMatches(session, trackInfo);
+      if (matches.length === 0) return trackInfo;
+      
+      console.warn(`Skipping blocklisted track ${trackId} in session ${sessionId}`);
+      this.recordBlocklistHits(session, trackInfo, matches, 'queue', 'excluded');
+    }
+    return null;
+  }
+  
+  // Blocklist edits take effect in sessions the resident is already in
+  updateParticipantBlocklist(profile) {
+    const profileId = String(profile._id);
+    const blocklist = participantBlocklist(profile);
+    
+    for (const session of this.activeSessions.values()) {
+      let changed = false;
+      for (const participant of session.participants.values()) {
+        if (String(participant.profileId) === profileId) {
+          participant.blocklist = blocklist;
+          changed = true;
+        }
+      }
+      if (changed) this.commitSession(session);
+    }
+  }
+  
+  // Participants whose blocklist the track falls under
+  blocklistMatches(session, trackInfo) {
+    const matches = [];
+    for (const participant of session.participants.values()) {
+      const match = participant.blocklist && Profile.matchBlocklist(participant.blocklist, trackInfo);
+      if (match) {
+        matches.push({ ...match, profileId: participant.profileId, instituteId: participant.blocklist.instituteId });
+      }
+    }
+    return matches;
+  }
+  
+  recordBlocklistHits(session, trackInfo, matches, source, action) {
+    BlocklistAudit.record(matches.map(({ profileId, instituteId, rule, value }) => ({
+      institute: instituteId,
+      profile: profileId,
+      sessionId: session.id,
+      trackId: trackInfo.trackId,
+      rule,
+      value,
+      source,
+      action
+    })));
+  }
+  
+  // Group recommendations: scores summed across participants, leaving out
+  // vetoed tracks and anything already played in this session
+  async recommendForSession(session) {
+    const profileIds = [...new Set(Array.from(session.participants.values())
+      .map(participant => participant.profileId)
+      .filter(Boolean))];
+    
+    const results = await Promise.all((profileIds.length > 0 ? profileIds : [null])
+      .map(profileId => this.recommendTracks(session.id, profileId)));
+    
+    const excluded = new Set([...session.vetoed, ...session.trackHistory.map(track => track.trackId)]);
+    const scores = new Map();
+    for (const recommendations of results) {
+      for (const recommendation of recommendations) {
+        const trackId = String(recommendation.trackId);
+        if (excluded.has(trackId)) continue;
+        scores.set(trackId, (scores.get(trackId) || 0) + recommendation.score);
+      }
+    }
+    
+    return Array.from(scores.entries())
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, RECOMMENDED_QUEUE_SIZE)
+      .map(([trackId]) => trackId);
+  }
+  
+  getQueue(sessionId) {
+    const session = this.activeSessions.get(sessionId);
+    if (!session) return null;
+    
+    return {
+      queue: session.queue,
+      vetoed: session.vetoed
+    };
+  }
+  
+  // Pinned tracks play next, in the order they were pinned
+  pinTrack(sessionId, trackId) {
+    const session = this.activeSessions.get(sessionId);
+    if (!session) {
+      throw notFoundError(`Session ${sessionId} not found`);
+    }
+    
+    const existing = session.queue.find(entry => entry.trackId === trackId);
+    session.queue = session.queue.filter(entry => entry.trackId !== trackId);
+    session.vetoed = session.vetoed.filter(vetoedId => vetoedId !== trackId);
+    
+    let position = 0;
+    session.queue.forEach((entry, index) => {
+      if (entry.pinned) position = index + 1;
+    });
+    session.queue.splice(position, 0, {
+      trackId,
+      source: existing ? existing.source : 'caregiver',
+      pinned: true
+    });
+    
+    this.commitSession(session);
+    this.emitQueueUpdated(session);
+    return this.getQueue(sessionId);
+  }
+  
+  // trackIds must list every queued track exactly once
+  reorderQueue(sessionId, trackIds) {
+    const session = this.activeSessions.get(sessionId);
+    if (!session) {
+      throw notFoundError(`Session ${sessionId} not found`);
+    }
+    
+    const entries = new Map(session.queue.map(entry => [entry.trackId, entry]));
+    if (trackIds.length !== entries.size || new Set(trackIds).size !== trackIds.length ||
+        !trackIds.every(trackId => entries.has(trackId))) {
+      throw badRequestError('Queue order must list every queued track exactly once');
+    }
+    
+    session.queue = trackIds.map(trackId => entries.get(trackId));
+    
+    this.commitSession(session);
+    this.emitQueueUpdated(session);
+    return this.getQueue(sessionId);
+  }
+  
+  // Vetoed tracks are dropped from the queue and never picked automatically
+  async vetoTrack(sessionId, trackId) {
+    const session = this.activeSessions.get(sessionId);
+    if (!session) {
+      throw notFoundError(`Session ${sessionId} not found`);
+    }
+    
+    session.queue = session.queue.filter(entry => entry.trackId !== trackId);
+    if (!session.vetoed.includes(trackId)) {
+      session.vetoed.push(trackId);
+    }
+    
+    this.commitSession(session);
+    this.emitQueueUpdated(session);
+    
+    // Vetoing the track that is playing moves straight on
+    if (session.currentTrack && session.currentTrack.trackId === trackId) {
+      await this.controlPlayback(sessionId, { action: 'NEXT', reason: 'veto' });
+    }
+    return this.getQueue(sessionId);
+  }
+  
+  emitQueueUpdated(session) {
+    this.sessionEvents$.next({
+      type: 'QUEUE_UPDATED',
+      sessionId: session.id,
+      queue: session.queue,
+      vetoed: session.vetoed,
+      timestamp: Date.now()
+    });
+  }
+  
+  // Move on by itself when the track ends or its reactions drop below the
+  // session's reactionThreshold. Only the instance holding the session's
+  // host lease does this, so instances sharing it don't each skip the track.
+  checkAutoplay(session) {
+    clearTimeout(this.playbackTimers.get(session.id));
+    this.playbackTimers.delete(session.id);
+    
+    if (!this.hostedSessions.has(session.id) || !session.settings.autoNext || this.advancing.has(session.id)) {
+      return;
+    }
+    
+    if (this.reactionsBelowThreshold(session)) {
+      this.autoAdvance(session.id, 'low-reactions');
+      return;
+    }
+    
+    const playback = playbackState(session);
+    if (!playback.trackId || playback.paused || !playback.durationMs) return;
+    
+    const remaining = (playback.durationMs - playback.positionMs) / playback.rate;
+    const timer = setTimeout(() => this.autoAdvance(session.id, 'track-ended'), remaining);
+    timer.unref();
+    this.playbackTimers.set(session.id, timer);
+  }
+  
+  async autoAdvance(sessionId, reason) {
+    this.advancing.add(sessionId);
+    try {
+      await this.controlPlayback(sessionId, { action: 'NEXT', reason });
+    } catch (error) {
+      console.error(`Autoplay failed in session ${sessionId}:`, error);
+    } finally {
+      this.advancing.delete(sessionId);
+    }
+    
+    // Schedule the end of whatever is playing now
+    const session = this.activeSessions.get(sessionId);
+    if (session) this.checkAutoplay(session);
+  }
+  
+  // Mean of each resident's latest reaction to the current track. Reactions
+  // not tied to a resident don't count, so they can't force a skip.
+  reactionsBelowThreshold(session) {
+    if (!session.currentTrack) return false;
+    
+    const { trackId, startedAt } = session.currentTrack;
+    const latest = new Map();
+    for (const reaction of session.reactions) {
+      if (reaction.profileId && reaction.trackId === trackId && reaction.timestamp >= startedAt) {
+        latest.set(reaction.profileId, Reaction.scoreFor(reaction.reaction, reaction.intensity));
+      }
+    }
+    if (latest.size === 0) return false;
+    
+    const scores = Array.from(latest.values());
+    const average = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+    return average < session.settings.reactionThreshold;
+  }
+  
+  // Title, artist, duration and the fields blocklists match on for
+  // catalogue tracks; bare id otherwise
+  async findTrackInfo(trackId) {
+    if (!mongoose.isValidObjectId(trackId)) return { trackId };
+    
+    const track = await Track.findById(trackId).select('title artist genre tags duration');
+    return track
+      ? {
+        trackId,
+        title: track.title,
+        artist: track.artist,
+        genre: track.genre,
+        tags: track.tags,
+        duration: track.duration
+      }
+      : { trackId };
   }
   
   // Get session metrics
@@ -266,17 +939,17 @@ export class ReactiveSessionManager {
       positivityRatio: reactions.length > 0 ? positiveReactions / reactions.length : 0,
       averageEngagement,
       currentTrack: session.currentTrack,
+      playback: playbackState(session, now),
       isActive: true,
       lastActivity: reactions.length > 0 ? Math.max(...reactions.map(r => r.timestamp)) : session.createdAt
     };
   }
   
   // Calculate user engagement score
-  calculateEngagement(reactions) {
+  calculateEngagement(reactions, now = Date.now()) {
     if (!reactions || reactions.length === 0) return 0;
     
     // Recent reactions have more weight
-    const now = Date.now();
     const weightedScores = reactions.map(reaction => {
       const ageWeight = Math.exp(-(now - reaction.timestamp) / (5 * 60 * 1000)); // 5 min decay
       const intensityScore = reaction.intensity || 3;
@@ -324,31 +997,92 @@ export class ReactiveSessionManager {
     
     // Clean up user mappings
     for (const participant of session.participants.values()) {
-      this.userSessions.delete(participant.userId);
+      this.deleteUserSession(participant.userId);
     }
     
-    // Remove from active sessions
-    this.activeSessions.delete(sessionId);
+    // Close whatever was still open so the record has complete timings
+    session.endedAt = Date.now();
+    this.closeTrackHistory(session, session.endedAt);
+    for (const entry of session.participantLog) {
+      if (!entry.leftAt) entry.leftAt = session.endedAt;
+    }
     
     // Update reactive state
-    const currentSessions = this.sessions$.value;
-    currentSessions.delete(sessionId);
-    this.sessions$.next(new Map(currentSessions));
+    this.removeSession(sessionId);
     
     // Emit session event
     this.sessionEvents$.next({
       type: 'SESSION_ENDED',
       sessionId,
       timestamp: Date.now(),
-      finalMetrics: this.calculateSessionMetrics(session)
+      finalMetrics: this.calculateSessionMetrics(session),
+      session
     });
     
     console.log(`Session ended: ${sessionId}`);
   }
   
+  // Drop a session that never got going, e.g. when its first resident can't
+  // be found. Unlike endSession nothing is recorded or announced as ended.
+  discardSession(sessionId) {
+    if (!this.activeSessions.has(sessionId)) return;
+    
+    this.removeSession(sessionId);
+    console.log(`Session discarded: ${sessionId}`);
+  }
+  
+  // Save an ended session as a SessionRecord
+  async saveSessionRecord(session, finalMetrics) {
+    try {
+      await SessionRecord.fromSession(session, finalMetrics).save();
+      console.log(`Session record saved: ${session.id}`);
+    } catch (error) {
+      console.error(`Failed to save session record ${session.id}:`, error);
+    }
+  }
+  
+  // Save a reaction for analytics; reactions without a real profile are skipped
+  async saveReaction(reactionData) {
+    const { sessionId, trackId, reaction, intensity, profileId, timestamp } = reactionData;
+    if (!mongoose.isValidObjectId(profileId) || !trackId || !reaction) return;
+    
+    const session = this.activeSessions.get(sessionId);
+    try {
+      await Reaction.create({
+        sessionId,
+        institute: session && mongoose.isValidObjectId(session.createdBy) ? session.createdBy : undefined,
+        profile: profileId,
+        trackId,
+        reaction,
+        intensity: Reaction.scoreFor(reaction, intensity),
+        timestamp: new Date(timestamp || Date.now())
+      });
+    } catch (error) {
+      console.error(`Failed to save reaction in session ${sessionId}:`, error);
+    }
+  }
+  
+  closeTrackHistory(session, endedAt) {
+    const lastTrack = session.trackHistory[session.trackHistory.length - 1];
+    if (lastTrack && !lastTrack.endedAt) {
+      lastTrack.endedAt = endedAt;
+    }
+  }
+  
+  closeParticipantLog(session, connectionId, leftAt) {
+    for (const entry of session.participantLog) {
+      if (entry.connectionId === connectionId && !entry.leftAt) {
+        entry.leftAt = leftAt;
+      }
+    }
+  }
+  
   // Get all active sessions
-  getActiveSessions() {
-    return Array.from(this.activeSessions.values());
+  getActiveSessions(instituteId = null) {
+    const sessions = Array.from(this.activeSessions.values());
+    return instituteId
+      ? sessions.filter(session => session.createdBy === String(instituteId))
+      : sessions;
   }
   
   // Get session by ID
@@ -356,6 +1090,12 @@ export class ReactiveSessionManager {
     return this.activeSessions.get(sessionId);
   }
   
+  // A session, but only if it was started by the given institute
+  getSessionForInstitute(sessionId, instituteId) {
+    const session = this.activeSessions.get(sessionId);
+    return session && session.createdBy === String(instituteId) ? session : null;
+  }
+  
   // Get user's current session
   getUserSession(userId) {
     const sessionId = this.userSessions.get(userId);
@@ -363,3 +1103,58 @@ export class ReactiveSessionManager {
   }
 }
 
+function participantBlocklist(profile) {
+  return Profile.hasBlocklist(profile.blocklist)
+    ? { instituteId: String(profile.institute), ...profile.toObject().blocklist }
+    : null;
+}
+
+function hostLeaseName(sessionId) {
+  return `session-host:${sessionId}`;
+}
+
+// Errors carrying a statusCode are mapped to HTTP responses by the routes
+function notFoundError(message) {
+  const error = new Error(message);
+  error.statusCode = 404;
+  return error;
+}
+
+function badRequestError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+function idlePlayback(now) {
+  return {
+    trackId: null,
+    positionMs: 0,
+    paused: true,
+    rate: 1,
+    durationMs: null,
+    updatedAt: now
+  };
+}
+
+// Position is stored at an anchor time and only advances while playing,
+// so every instance computes the same value from the shared state
+function playbackState(session, now = Date.now()) {
+  const playback = session.playback || idlePlayback(session.createdAt);
+  
+  let positionMs = playback.paused
+    ? playback.positionMs
+    : playback.positionMs + (now - playback.updatedAt) * playback.rate;
+  if (playback.durationMs) {
+    positionMs = Math.min(positionMs, playback.durationMs);
+  }
+  
+  return {
+    trackId: playback.trackId,
+    positionMs: Math.round(positionMs),
+    paused: playback.paused,
+    rate: playback.rate,
+    durationMs: playback.durationMs,
+    serverTime: now
+  };
+}
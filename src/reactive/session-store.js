@@ -0,0 +1,244 @@
+import { createClient } from 'redis';
+
+// Session state backends for ReactiveSessionManager. The manager keeps its
+// own in-memory cache for synchronous reads; a backend persists that state
+// and relays changes between server instances over pub/sub.
+
+// Only one instance at a time may hold a lease; it lapses unless renewed
+const ACQUIRE_LEASE_SCRIPT = `
+  local owner = redis.call('GET', KEYS[1])
+  if owner == false or owner == ARGV[1] then
+    redis.call('SET', KEYS[1], ARGV[1], 'PX', ARGV[2])
+    return 1
+  end
+  return 0
+`;
+
+const RELEASE_LEASE_SCRIPT = `
+  if redis.call('GET', KEYS[1]) == ARGV[1] then
+    return redis.call('DEL', KEYS[1])
+  end
+  return 0
+`;
+
+// Sessions hold Maps, which don't survive JSON. Reactions are appended to
+// a list of their own (appendReaction), so snapshots leave them out.
+export function serializeSession(session) {
+  const { reactions, ...snapshot } = session;
+  return JSON.stringify({
+    ...snapshot,
+    participants: Array.from(session.participants.entries())
+      .map(([userId, { reactions: participantReactions, ...participant }]) => [userId, participant])
+  });
+}
+
+export function deserializeSession(json, reactions = []) {
+  const session = JSON.parse(json);
+  return {
+    ...session,
+    participants: new Map(session.participants
+      .map(([userId, participant]) => [userId, { ...participant, reactions: [] }])),
+    reactions
+  };
+}
+
+// Single-process backend. Managers sharing one instance behave like
+// separate servers sharing Redis, which is what tests use.
+export class MemorySessionStore {
+  constructor() {
+    this.sessions = new Map();
+    this.reactions = new Map();
+    this.userSessions = new Map();
+    this.leases = new Map();
+    this.subscribers = new Map();
+  }
+
+  async connect() {}
+
+  async loadAll() {
+    return {
+      sessions: Array.from(this.sessions.entries())
+        .map(([sessionId, json]) => deserializeSession(json, (this.reactions.get(sessionId) || []).map(reaction => JSON.parse(reaction)))),
+      userSessions: Array.from(this.userSessions.entries())
+    };
+  }
+
+  async saveSession(session) {
+    this.sessions.set(session.id, serializeSession(session));
+  }
+
+  async deleteSession(sessionId) {
+    this.sessions.delete(sessionId);
+    this.reactions.delete(sessionId);
+  }
+
+  async appendReaction(sessionId, reaction) {
+    if (!this.reactions.has(sessionId)) {
+      this.reactions.set(sessionId, []);
+    }
+    this.reactions.get(sessionId).push(JSON.stringify(reaction));
+  }
+
+  async acquireLease(name, owner, ttlMs) {
+    const now = Date.now();
+    const lease = this.leases.get(name);
+    if (lease && lease.owner !== owner && lease.expiresAt > now) return false;
+
+    this.leases.set(name, { owner, expiresAt: now + ttlMs });
+    return true;
+  }
+
+  async releaseLease(name, owner) {
+    const lease = this.leases.get(name);
+    if (lease && lease.owner === owner) {
+      this.leases.delete(name);
+    }
+  }
+
+  async setUserSession(userId, sessionId) {
+    this.userSessions.set(userId, sessionId);
+  }
+
+  async deleteUserSession(userId) {
+    this.userSessions.delete(userId);
+  }
+
+  async publish(channel, message) {
+    const payload = JSON.stringify(message);
+    for (const handler of this.subscribers.get(channel) || []) {
+      // Deliver asynchronously, like a real broker would
+      setImmediate(() => handler(JSON.parse(payload)));
+    }
+  }
+
+  async subscribe(channel, handler) {
+    if (!this.subscribers.has(channel)) {
+      this.subscribers.set(channel, []);
+    }
+    this.subscribers.get(channel).push(handler);
+  }
+
+  async close() {
+    this.subscribers.clear();
+  }
+}
+
+export class RedisSessionStore {
+  constructor({ url, prefix = 'fuxi:', sessionTtl = 24 * 60 * 60 } = {}) {
+    this.prefix = prefix;
+    this.sessionTtl = sessionTtl; // seconds; stale sessions expire if an instance dies
+    this.client = createClient({ url });
+    this.subscriber = this.client.duplicate();
+
+    this.client.on('error', (error) => console.error('❌ Redis client error:', error));
+    this.subscriber.on('error', (error) => console.error('❌ Redis subscriber error:', error));
+  }
+
+  sessionKey(sessionId) {
+    return `${this.prefix}session:${sessionId}`;
+  }
+
+  reactionsKey(sessionId) {
+    return `${this.prefix}reactions:${sessionId}`;
+  }
+
+  leaseKey(name) {
+    return `${this.prefix}lease:${name}`;
+  }
+
+  get userSessionsKey() {
+    return `${this.prefix}user-sessions`;
+  }
+
+  async connect() {
+    await Promise.all([this.client.connect(), this.subscriber.connect()]);
+    console.log('✅ Connected to Redis session store');
+  }
+
+  async loadAll() {
+    const sessions = [];
+    for await (const key of this.client.scanIterator({ MATCH: this.sessionKey('*') })) {
+      const json = await this.client.get(key);
+      if (!json) continue;
+
+      const sessionId = key.slice(this.sessionKey('').length);
+      const reactions = await this.client.lRange(this.reactionsKey(sessionId), 0, -1);
+      sessions.push(deserializeSession(json, reactions.map(reaction => JSON.parse(reaction))));
+    }
+
+    const userSessions = Object.entries(await this.client.hGetAll(this.userSessionsKey));
+    return { sessions, userSessions };
+  }
+
+  async saveSession(session) {
+    await this.client.multi()
+      .set(this.sessionKey(session.id), serializeSession(session), { EX: this.sessionTtl })
+      .expire(this.reactionsKey(session.id), this.sessionTtl)
+      .exec();
+  }
+
+  async deleteSession(sessionId) {
+    await this.client.del([this.sessionKey(sessionId), this.reactionsKey(sessionId)]);
+  }
+
+  // RPUSH is atomic, so reactions saved by different instances are all kept
+  async appendReaction(sessionId, reaction) {
+    await this.client.multi()
+      .rPush(this.reactionsKey(sessionId), JSON.stringify(reaction))
+      .expire(this.reactionsKey(sessionId), this.sessionTtl)
+      .exec();
+  }
+
+  async acquireLease(name, owner, ttlMs) {
+    const acquired = await this.client.eval(ACQUIRE_LEASE_SCRIPT, {
+      keys: [this.leaseKey(name)],
+      arguments: [owner, String(ttlMs)]
+    });
+    return acquired === 1;
+  }
+
+  async releaseLease(name, owner) {
+    await this.client.eval(RELEASE_LEASE_SCRIPT, {
+      keys: [this.leaseKey(name)],
+      arguments: [owner]
+    });
+  }
+
+  async setUserSession(userId, sessionId) {
+    await this.client.hSet(this.userSessionsKey, userId, sessionId);
+  }
+
+  async deleteUserSession(userId) {
+    await this.client.hDel(this.userSessionsKey, userId);
+  }
+
+  async publish(channel, message) {
+    await this.client.publish(`${this.prefix}${channel}`, JSON.stringify(message));
+  }
+
+  async subscribe(channel, handler) {
+    await this.subscriber.subscribe(`${this.prefix}${channel}`, (payload) => {
+      try {
+        handler(JSON.parse(payload));
+      } catch (error) {
+        console.error(`Invalid message on ${channel}:`, error);
+      }
+    });
+  }
+
+  async close() {
+    await Promise.all([this.subscriber.quit(), this.client.quit()]);
+  }
+}
+
+// Redis when configured (SESSION_STORE=redis or REDIS_URL set), memory otherwise
+export async function createSessionStore() {
+  const backend = process.env.SESSION_STORE || (process.env.REDIS_URL ? 'redis' : 'memory');
+
+  const store = backend === 'redis'
+    ? new RedisSessionStore({ url: process.env.REDIS_URL })
+    : new MemorySessionStore();
+
+  await store.connect();
+  return store;
+}
@@ -5,29 +5,381 @@ import {
   debounceTime, 
   distinctUntilChanged,
   switchMap,
+  concatMap,
   takeUntil,
   tap,
   catchError
 } from 'rxjs/operators';
 import { v4 as uuidv4 } from 'uuid';
+import { randomBytes } from 'crypto';
+import AuthSession, { revokedSessions$ } from '../models/AuthSession.js';
+import Profile from '../models/Profile.js';
+import { requirePermission } from '../utils/permissions.js';
+
+// How long a dropped connection keeps its place in the session
+const RECONNECT_GRACE_MS = parseInt(process.env.RECONNECT_GRACE_MS) || 30000;
+
+// Close codes for sockets whose login was revoked or whose token expired;
+// after an expiry the client can refresh its token and resume
+const CLOSE_REVOKED = 4001;
+const CLOSE_EXPIRED = 4002;
+
+// Longest delay setTimeout can take
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// Messages a resuming client gets replayed, and how many are kept
+const REPLAYABLE_TYPES = ['SESSION_UPDATE', 'MUSIC_EVENT', 'REACTION_PROCESSED', 'PLAYBACK_CHANGED'];
+const REPLAY_BUFFER_SIZE = 200;
+
+// How often clients get the playback clock to correct drift
+const CLOCK_SYNC_INTERVAL_MS = parseInt(process.env.CLOCK_SYNC_INTERVAL_MS) || 5000;
+const PLAYBACK_ACTIONS = ['PLAY', 'PAUSE', 'SEEK', 'NEXT', 'SKIP'];
+
+// Browsers can't set headers on a WebSocket, so the JWT arrives as the
+// subprotocol pair "bearer, <token>" or as a normal Authorization header
+// from native clients. Query strings end up in request logs, so ?token=
+// is not accepted.
+function extractToken(request) {
+  const protocols = (request.headers['sec-websocket-protocol'] || '')
+    .split(',')
+    .map(protocol => protocol.trim());
+  const bearerIndex = protocols.indexOf('bearer');
+  if (bearerIndex !== -1 && protocols[bearerIndex + 1]) {
+    return protocols[bearerIndex + 1];
+  }
+  
+  const authorization = request.headers.authorization || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice(7);
+  }
+  
+  return null;
+}
+
+// Verify the JWT before the connection is upgraded
+async function authenticateSocket(request, reply) {
+  const token = extractToken(request);
+  
+  try {
+    if (!token) throw new Error('Missing token');
+    request.user = request.server.jwt.verify(token);
+    if (!await AuthSession.isActive(request.user.sid)) throw new Error('Session revoked');
+  } catch (error) {
+    return reply.code(401).send({
+      error: 'Unauthorized',
+      message: 'Valid JWT token required'
+    });
+  }
+}
+
+// Analytics may only be streamed for the caller's own residents
+export async function authorizeProfile(request, reply) {
+  const profile = await Profile.findForInstitute(request.params.profileId, request.user.id);
+  if (!profile) {
+    return reply.code(404).send({
+      error: 'Not Found',
+      message: 'Profile not found'
+    });
+  }
+}
+
+// Sessions can only be joined by the institute that started them
+export async function authorizeSession(request, reply) {
+  if (!request.server.sessionManager.getSessionForInstitute(request.params.sessionId, request.user.id)) {
+    return reply.code(404).send({
+      error: 'Not Found',
+      message: 'Session not found'
+    });
+  }
+}
 
 export function setupWebSocketHandlers(fastify) {
   // Global subjects for reactive streams
   const sessionUpdates$ = new Subject();
   const musicEvents$ = new Subject();
   const userReactions$ = new Subject();
+  const sessionBroadcast$ = new Subject();
+  
+  // Fan a message out to every socket connected to its session. Messages
+  // carry the connectionId of the sender (null when it came through REST).
+  const broadcastToSession = (sessionId, message) => {
+    const broadcast = {
+      connectionId: null,
+      ...message,
+      sessionId
+    };
+    sessionBroadcast$.next(broadcast);
+    
+    // Relay to sockets held by other instances
+    const { store, instanceId } = fastify.sessionManager;
+    store.publish('broadcast', { origin: instanceId, message: broadcast }).catch(error => {
+      fastify.log.error('Failed to relay session broadcast:', error);
+    });
+  };
+  
+  fastify.sessionManager.store.subscribe('broadcast', ({ origin, message }) => {
+    if (origin !== fastify.sessionManager.instanceId) {
+      sessionBroadcast$.next(message);
+    }
+  }).catch(error => {
+    fastify.log.error('Failed to subscribe to session broadcasts:', error);
+  });
+  
+  // Agitation alerts for caregiver channels, relayed between instances
+  const caregiverAlerts$ = new Subject();
+  
+  fastify.alertEngine.alerts$.subscribe((alert) => {
+    caregiverAlerts$.next(alert);
+    
+    const { store, instanceId } = fastify.sessionManager;
+    store.publish('alerts', { origin: instanceId, alert }).catch(error => {
+      fastify.log.error('Failed to relay caregiver alert:', error);
+    });
+  });
+  
+  fastify.sessionManager.store.subscribe('alerts', ({ origin, alert }) => {
+    if (origin !== fastify.sessionManager.instanceId) {
+      caregiverAlerts$.next(alert);
+    }
+  }).catch(error => {
+    fastify.log.error('Failed to subscribe to caregiver alerts:', error);
+  });
+  
+  // Open sockets by the login (`sid`) their token belongs to. Tokens are only
+  // checked at the upgrade, so revoking a login has to close these as well.
+  const socketsBySid = new Map();
+  
+  // Keep a socket until it closes; it's closed when its token expires, and
+  // onRevoked runs when its login is revoked on any instance
+  const trackSocket = (socket, user, onRevoked = () => socket.close(CLOSE_REVOKED, 'Session revoked')) => {
+    const entry = { socket, onRevoked };
+    const sockets = socketsBySid.get(user.sid) || new Set();
+    sockets.add(entry);
+    socketsBySid.set(user.sid, sockets);
+    
+    const expiry = user.exp
+      ? setTimeout(() => socket.close(CLOSE_EXPIRED, 'Token expired'), Math.min(user.exp * 1000 - Date.now(), MAX_TIMER_MS))
+      : null;
+    
+    socket.once('close', () => {
+      clearTimeout(expiry);
+      sockets.delete(entry);
+      if (sockets.size === 0 && socketsBySid.get(user.sid) === sockets) {
+        socketsBySid.delete(user.sid);
+      }
+    });
+  };
+  
+  const closeRevokedSockets = (sids) => {
+    for (const sid of sids) {
+      for (const { onRevoked } of socketsBySid.get(sid) || []) {
+        onRevoked();
+      }
+    }
+  };
+  
+  const revocations = revokedSessions$.subscribe((sids) => {
+    closeRevokedSockets(sids);
+    
+    // Relay to sockets held by other instances
+    const { store, instanceId } = fastify.sessionManager;
+    store.publish('revocations', { origin: instanceId, sids }).catch(error => {
+      fastify.log.error('Failed to relay revoked logins:', error);
+    });
+  });
+  
+  fastify.sessionManager.store.subscribe('revocations', ({ origin, sids }) => {
+    if (origin !== fastify.sessionManager.instanceId) {
+      closeRevokedSockets(sids);
+    }
+  }).catch(error => {
+    fastify.log.error('Failed to subscribe to revoked logins:', error);
+  });
+  
+  // Connection state outlives the socket for RECONNECT_GRACE_MS, so a client
+  // that drops can resume with its resumeToken and keep its place
+  const connectionStates = new Map();
+  const resumeTokens = new Map(); // resumeToken -> connectionId
+  
+  // Send to whichever socket currently backs the connection. Replayable
+  // messages are numbered and buffered, even while no socket is attached.
+  const deliver = (state, message) => {
+    let payload = message;
+    if (REPLAYABLE_TYPES.includes(message.type)) {
+      payload = { ...message, seq: ++state.seq };
+      state.outbox.push(payload);
+      if (state.outbox.length > REPLAY_BUFFER_SIZE) {
+        state.outbox.shift();
+      }
+    }
+    
+    if (state.socket && state.socket.readyState === state.socket.OPEN) {
+      state.socket.send(JSON.stringify(payload));
+    }
+  };
+  
+  const openConnection = (sessionId, userId) => {
+    const state = {
+      connectionId: uuidv4(),
+      resumeToken: randomBytes(24).toString('base64url'),
+      sessionId,
+      userId,
+      profileId: null,
+      socket: null,
+      seq: 0,
+      outbox: [],
+      detachedAtSeq: 0,
+      graceTimer: null,
+      sessionUpdates: null,
+      clockSync: null,
+      closed$: new Subject()
+    };
+    connectionStates.set(state.connectionId, state);
+    resumeTokens.set(state.resumeToken, state.connectionId);
+    
+    // Deliver everything broadcast to this session
+    sessionBroadcast$.pipe(
+      filter(message => message.sessionId === sessionId),
+      takeUntil(state.closed$)
+    ).subscribe({
+      next: (message) => deliver(state, message),
+      error: (error) => {
+        fastify.log.error('Session broadcast stream error:', error);
+      }
+    });
+    
+    // Send periodic session updates
+    state.sessionUpdates = setInterval(() => {
+      const sessionMetrics = fastify.sessionManager.getSessionMetrics(sessionId);
+      if (sessionMetrics) {
+        deliver(state, {
+          type: 'SESSION_UPDATE',
+          sessionId,
+          metrics: sessionMetrics,
+          timestamp: Date.now()
+        });
+      }
+    }, 10000); // Every 10 seconds
+    
+    // Playback clock, sent straight to this socket rather than broadcast so
+    // several instances serving the session don't multiply it
+    state.clockSync = setInterval(() => {
+      const playback = fastify.sessionManager.getPlaybackState(sessionId);
+      if (playback && playback.trackId) {
+        deliver(state, {
+          type: 'CLOCK_SYNC',
+          sessionId,
+          playback
+        });
+      }
+    }, CLOCK_SYNC_INTERVAL_MS);
+    
+    return state;
+  };
+  
+  // Drop the connection for good and take the user out of the session
+  const closeConnection = (state) => {
+    clearTimeout(state.graceTimer);
+    clearInterval(state.sessionUpdates);
+    clearInterval(state.clockSync);
+    state.closed$.next();
+    state.closed$.complete();
+    connectionStates.delete(state.connectionId);
+    resumeTokens.delete(state.resumeToken);
+    
+    fastify.sessionManager.leaveSession(state.sessionId, state.connectionId);
+  };
+  
+  // Look up a connection to resume by its token. The connection keeps its own
+  // participant entry, so it must only be resumed by the login and session it was opened for.
+  const findResumable = (resumeToken, sessionId, userId) => {
+    const state = connectionStates.get(resumeTokens.get(resumeToken));
+    if (!state || state.sessionId !== sessionId || state.userId !== userId) {
+      return null;
+    }
+    return state;
+  };
+  
+  fastify.addHook('onClose', async () => {
+    revocations.unsubscribe();
+    for (const state of connectionStates.values()) {
+      clearTimeout(state.graceTimer);
+      clearInterval(state.sessionUpdates);
+      clearInterval(state.clockSync);
+      state.closed$.complete();
+    }
+    connectionStates.clear();
+    resumeTokens.clear();
+  });
+  
+  // Relay joins, leaves, track, playback and queue changes, whichever API they came through
+  fastify.sessionManager.sessionEvents$.pipe(
+    filter(event => ['USER_JOINED', 'USER_LEFT', 'TRACK_CHANGED', 'PLAYBACK_CHANGED', 'QUEUE_UPDATED', 'BLOCKLIST_WARNING', 'SESSION_ENDED'].includes(event.type))
+  ).subscribe(({ session, ...event }) => {
+    broadcastToSession(event.sessionId, event);
+  });
   
   // WebSocket route for music therapy sessions
   fastify.register(async function (fastify) {
-    fastify.get('/ws/session/:sessionId', { websocket: true }, (connection, request) => {
+    fastify.get('/ws/session/:sessionId', {
+      websocket: true,
+      preValidation: [authenticateSocket, requirePermission('sessions:run'), authorizeSession]
+    }, (connection, request) => {
       const sessionId = request.params.sessionId;
-      const connectionId = uuidv4();
+      const userId = request.user.staffId || request.user.id; // each staff member is their own participant
+      const socket = connection.socket;
       
-      fastify.log.info(`New WebSocket connection: ${connectionId} for session: ${sessionId}`);
+      // ?resume=<resumeToken>&lastSeq=<n> picks up a dropped connection
+      const { resume, lastSeq } = request.query;
+      let state = resume ? findResumable(resume, sessionId, userId) : null;
+      const resumed = state !== null;
       
-      // Create observables for this connection
-      const disconnect$ = fromEvent(connection.socket, 'close');
-      const message$ = fromEvent(connection.socket, 'message').pipe(
+      if (resumed) {
+        clearTimeout(state.graceTimer);
+        state.graceTimer = null;
+        
+        // A half-open socket the server hasn't noticed yet is replaced
+        const previous = state.socket;
+        state.socket = socket;
+        if (previous) {
+          previous.close(4000, 'Connection resumed elsewhere');
+        }
+      } else {
+        if (resume) {
+          socket.send(JSON.stringify({
+            type: 'RESUME_FAILED',
+            sessionId,
+            error: 'Resume token is invalid or has expired'
+          }));
+        }
+        state = openConnection(sessionId, userId);
+        state.socket = socket;
+      }
+      
+      const { connectionId } = state;
+      
+      // A revoked login leaves the session for good rather than waiting out the grace period
+      trackSocket(socket, request.user, () => {
+        if (state.socket === socket) {
+          state.socket = null;
+          closeConnection(state);
+        }
+        socket.close(CLOSE_REVOKED, 'Session revoked');
+      });
+      
+      // Reactions may only be attributed to residents who joined this session
+      const resolveProfileId = (requestedProfileId) => {
+        if (!requestedProfileId || requestedProfileId === state.profileId) return state.profileId;
+        return fastify.sessionManager.isProfileInSession(sessionId, requestedProfileId) ? requestedProfileId : undefined;
+      };
+      
+      fastify.log.info(`${resumed ? 'Resumed' : 'New'} WebSocket connection: ${connectionId} for session: ${sessionId}`);
+      
+      // Create observables for this socket
+      const disconnect$ = fromEvent(socket, 'close');
+      const message$ = fromEvent(socket, 'message').pipe(
+        // fromEvent uses ws' addEventListener, so the payload arrives as a MessageEvent
+        map(event => event.data),
         map(data => {
           try {
             return JSON.parse(data.toString());
@@ -51,17 +403,44 @@ export function setupWebSocketHandlers(fastify) {
         tap(msg => fastify.log.info(`User reaction: ${msg.reaction} for track ${msg.trackId}`))
       );
       
+      const clockPings$ = message$.pipe(
+        filter(msg => msg.type === 'CLOCK_PING')
+      );
+      
       const sessionJoin$ = message$.pipe(
         filter(msg => msg.type === 'JOIN_SESSION'),
-        tap(msg => fastify.log.info(`User ${msg.userId} joined session ${sessionId}`))
+        tap(msg => fastify.log.info(`User ${userId} joined session ${sessionId}`))
       );
       
       // Subscribe to reactive streams
       
-      // Handle music controls (play, pause, skip, etc.)
+      // Handle music controls (play, pause, skip, etc.), in the order they arrive
       musicControls$.pipe(
-        switchMap(async (msg) => {
+        concatMap(async (msg) => {
           const { action, trackId, timestamp } = msg;
+          const profileId = resolveProfileId(msg.profileId);
+          
+          // Playback commands move the shared clock; PLAYBACK_CHANGED goes out to everyone
+          if (PLAYBACK_ACTIONS.includes(action)) {
+            try {
+              await fastify.sessionManager.controlPlayback(sessionId, {
+                action,
+                trackId,
+                positionMs: msg.positionMs,
+                rate: msg.rate
+              });
+            } catch (error) {
+              if (!error.statusCode) {
+                fastify.log.error('Error controlling playback:', error);
+              }
+              deliver(state, {
+                type: 'PLAYBACK_ERROR',
+                sessionId,
+                action,
+                error: error.statusCode ? error.message : 'Failed to control playback'
+              });
+            }
+          }
           
           // Broadcast to all clients in the session
           const musicEvent = {
@@ -74,6 +453,7 @@ export function setupWebSocketHandlers(fastify) {
           };
           
           musicEvents$.next(musicEvent);
+          broadcastToSession(sessionId, musicEvent);
           
           // Update music recommendation engine
           if (action === 'SKIP' || action === 'LIKE' || action === 'DISLIKE') {
@@ -82,6 +462,7 @@ export function setupWebSocketHandlers(fastify) {
                 sessionId,
                 trackId,
                 action,
+                profileId,
                 timestamp
               });
               
@@ -96,23 +477,43 @@ export function setupWebSocketHandlers(fastify) {
             }
           }
           
-          return musicEvent;
+          // The music event itself already went out to the whole session
+          return null;
         }),
         filter(event => event !== null),
         takeUntil(disconnect$)
       ).subscribe({
         next: (event) => {
-          connection.socket.send(JSON.stringify(event));
+          deliver(state, event);
         },
         error: (error) => {
           fastify.log.error('Music controls stream error:', error);
         }
       });
       
+      // Answer clock pings so clients can estimate their offset and round trip
+      clockPings$.pipe(
+        takeUntil(disconnect$)
+      ).subscribe((msg) => {
+        deliver(state, {
+          type: 'CLOCK_PONG',
+          clientTime: msg.clientTime,
+          serverTime: Date.now()
+        });
+      });
+      
       // Handle user reactions with real-time processing
       userReactions$.pipe(
         switchMap(async (msg) => {
-          const { trackId, reaction, intensity, profileId } = msg;
+          const { trackId, reaction, intensity } = msg;
+          const profileId = resolveProfileId(msg.profileId);
+          
+          if (profileId === undefined) {
+            return {
+              type: 'REACTION_ERROR',
+              error: 'Profile is not part of this session'
+            };
+          }
           
           try {
             // Process reaction through music engine
@@ -131,17 +532,21 @@ export function setupWebSocketHandlers(fastify) {
               reaction,
               intensity,
               profileId,
+              connectionId,
               timestamp: Date.now()
             });
             
-            return {
+            broadcastToSession(sessionId, {
               type: 'REACTION_PROCESSED',
-              sessionId,
               trackId,
               reaction,
+              intensity,
+              profileId,
               suggestions: response.nextTracks || [],
-              sessionMetrics: response.sessionMetrics || {}
-            };
+              sessionMetrics: response.sessionMetrics || {},
+              connectionId
+            });
+            return null;
           } catch (error) {
             fastify.log.error('Error processing user reaction:', error);
             return {
@@ -150,10 +555,11 @@ export function setupWebSocketHandlers(fastify) {
             };
           }
         }),
+        filter(response => response !== null),
         takeUntil(disconnect$)
       ).subscribe({
         next: (response) => {
-          connection.socket.send(JSON.stringify(response));
+          deliver(state, response);
         },
         error: (error) => {
           fastify.log.error('User reactions stream error:', error);
@@ -163,16 +569,18 @@ export function setupWebSocketHandlers(fastify) {
       // Handle session join and initialize reactive session
       sessionJoin$.pipe(
         switchMap(async (msg) => {
-          const { userId, profileId } = msg;
+          const { profileId } = msg;
           
           try {
-            // Register user in session
+            // Register user in session; the user always comes from the token
             const sessionInfo = await fastify.sessionManager.joinSession(sessionId, {
               userId,
               profileId,
+              instituteId: request.user.id,
               connectionId,
               joinedAt: Date.now()
             });
+            state.profileId = profileId || null;
             
             // Get initial recommendations
             const initialRecommendations = await fastify.musicEngine.getSessionRecommendations(sessionId, profileId);
@@ -181,6 +589,7 @@ export function setupWebSocketHandlers(fastify) {
               type: 'SESSION_JOINED',
               sessionId,
               sessionInfo,
+              playback: fastify.sessionManager.getPlaybackState(sessionId),
               initialRecommendations,
               connectionId
             };
@@ -195,49 +604,73 @@ export function setupWebSocketHandlers(fastify) {
         takeUntil(disconnect$)
       ).subscribe({
         next: (response) => {
-          connection.socket.send(JSON.stringify(response));
+          deliver(state, response);
         },
         error: (error) => {
           fastify.log.error('Session join stream error:', error);
         }
       });
       
-      // Send periodic session updates
-      const sessionUpdates = setInterval(() => {
-        const sessionMetrics = fastify.sessionManager.getSessionMetrics(sessionId);
-        if (sessionMetrics) {
-          connection.socket.send(JSON.stringify({
-            type: 'SESSION_UPDATE',
-            sessionId,
-            metrics: sessionMetrics,
-            timestamp: Date.now()
-          }));
-        }
-      }, 10000); // Every 10 seconds
-      
-      // Handle connection close
-      disconnect$.subscribe(() => {
+      // Keep the user in the session for a grace period after the socket drops
+      disconnect$.subscribe((event) => {
+        if (state.socket !== socket) return; // superseded by a resumed socket
+        
         fastify.log.info(`WebSocket disconnected: ${connectionId} from session: ${sessionId}`);
-        clearInterval(sessionUpdates);
+        state.socket = null;
+        
+        // A normal close from the client is a deliberate leave
+        if (event.code === 1000) {
+          closeConnection(state);
+          return;
+        }
+        
+        state.detachedAtSeq = state.seq;
         
-        // Remove user from session
-        fastify.sessionManager.leaveSession(sessionId, connectionId);
+        state.graceTimer = setTimeout(() => {
+          fastify.log.info(`WebSocket not resumed: ${connectionId}, leaving session: ${sessionId}`);
+          closeConnection(state);
+        }, RECONNECT_GRACE_MS);
       });
       
+      if (resumed) {
+        // Replay what was missed, oldest first; lastSeq is the last seq the client saw
+        const after = /^\d+$/.test(lastSeq || '') ? Number(lastSeq) : state.detachedAtSeq;
+        const missed = state.outbox.filter(message => message.seq > after);
+        
+        socket.send(JSON.stringify({
+          type: 'CONNECTION_RESUMED',
+          connectionId,
+          sessionId,
+          profileId: state.profileId,
+          playback: fastify.sessionManager.getPlaybackState(sessionId),
+          replayed: missed.length,
+          // Older messages fell out of the replay buffer
+          truncated: after < state.seq && (missed.length === 0 || missed[0].seq > after + 1),
+          timestamp: Date.now()
+        }));
+        missed.forEach(message => socket.send(JSON.stringify(message)));
+        return;
+      }
+      
       // Send welcome message
-      connection.socket.send(JSON.stringify({
+      socket.send(JSON.stringify({
         type: 'CONNECTION_ESTABLISHED',
         connectionId,
         sessionId,
+        resumeToken: state.resumeToken,
         timestamp: Date.now(),
         message: 'Connected to Fuxi Music Therapy Session'
       }));
     });
     
     // WebSocket route for real-time music analytics
-    fastify.get('/ws/analytics/:profileId', { websocket: true }, (connection, request) => {
+    fastify.get('/ws/analytics/:profileId', {
+      websocket: true,
+      preValidation: [authenticateSocket, requirePermission('analytics:clinical'), authorizeProfile]
+    }, (connection, request) => {
       const profileId = request.params.profileId;
       const connectionId = uuidv4();
+      trackSocket(connection.socket, request.user);
       
       fastify.log.info(`Analytics WebSocket connected: ${connectionId} for profile: ${profileId}`);
       
@@ -275,14 +708,53 @@ export function setupWebSocketHandlers(fastify) {
         timestamp: Date.now()
       }));
     });
+    
+    // WebSocket channel for caregivers: alerts for every session in the institute
+    fastify.get('/ws/caregivers', {
+      websocket: true,
+      preValidation: [authenticateSocket, requirePermission('alerts:view')]
+    }, (connection, request) => {
+      const instituteId = request.user.id;
+      const connectionId = uuidv4();
+      trackSocket(connection.socket, request.user);
+      
+      fastify.log.info(`Caregiver WebSocket connected: ${connectionId} for institute: ${instituteId}`);
+      
+      const disconnect$ = fromEvent(connection.socket, 'close');
+      
+      caregiverAlerts$.pipe(
+        filter(alert => alert.instituteId === instituteId),
+        takeUntil(disconnect$)
+      ).subscribe({
+        next: (alert) => {
+          connection.socket.send(JSON.stringify(alert));
+        },
+        error: (error) => {
+          fastify.log.error('Caregiver alert stream error:', error);
+        }
+      });
+      
+      disconnect$.subscribe(() => {
+        fastify.log.info(`Caregiver WebSocket disconnected: ${connectionId}`);
+      });
+      
+      connection.socket.send(JSON.stringify({
+        type: 'CAREGIVER_CONNECTED',
+        connectionId,
+        timestamp: Date.now()
+      }));
+    });
   });
   
   // Expose reactive streams for other modules
   fastify.decorate('reactiveStreams', {
     sessionUpdates$,
     musicEvents$,
-    userReactions$
+    userReactions$,
+    sessionBroadcast$,
+    caregiverAlerts$
   });
+  fastify.decorate('broadcastToSession', broadcastToSession);
   
   fastify.log.info('WebSocket handlers setup complete with reactive streams');
 }
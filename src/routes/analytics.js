@@ -1,27 +1,189 @@
+import Profile from '../models/Profile.js';
+import Reaction from '../models/Reaction.js';
+import SessionRecord from '../models/SessionRecord.js';
+import { requirePermission } from '../utils/permissions.js';
+
+const RANGE_DAYS = {
+  day: 1,
+  week: 7,
+  month: 30
+};
+
+// Resolve ?range= or explicit ?from=&to= into a date window
+function resolveRange({ range = 'day', from, to }) {
+  const end = to ? new Date(to) : new Date();
+
+  if (from) {
+    return { from: new Date(from), to: end };
+  }
+
+  const start = new Date(end);
+  start.setHours(0, 0, 0, 0);
+  start.setDate(start.getDate() - (RANGE_DAYS[range] - 1));
+  return { from: start, to: end };
+}
+
+function startOfToday() {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return today;
+}
+
+// Listening still in progress in sessions that haven't been recorded yet
+function activeListening(sessionManager, profileId, from) {
+  const now = Date.now();
+  let sessions = 0;
+  let totalMs = 0;
+
+  for (const session of sessionManager.getActiveSessions()) {
+    for (const participant of session.participants.values()) {
+      if (participant.profileId !== profileId) continue;
+
+      sessions++;
+      totalMs += now - Math.max(participant.joinedAt, from.getTime());
+    }
+  }
+
+  return { sessions, totalMs };
+}
+
+// Start of the week (Monday) or month containing a date
+function bucketStart(date, bucket) {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+
+  if (bucket === 'month') {
+    start.setDate(1);
+  } else {
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  }
+  return start;
+}
+
+function nextBucket(start, bucket) {
+  const next = new Date(start);
+  if (bucket === 'month') {
+    next.setMonth(next.getMonth() + 1);
+  } else {
+    next.setDate(next.getDate() + 7);
+  }
+  return next;
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+// Mean engagement over a session, sampling calculateEngagement at each reaction
+function sessionEngagement(sessionManager, reactions) {
+  const timed = reactions.map(reaction => ({
+    intensity: reaction.intensity,
+    timestamp: new Date(reaction.timestamp).getTime()
+  }));
+
+  return average(timed.map((reaction, index) =>
+    sessionManager.calculateEngagement(timed.slice(0, index + 1), reaction.timestamp)
+  ));
+}
+
+// Compare average intensity between the first and second half of the window
+function responseChanges(reactions, key, midpoint, minSamples = 3) {
+  const groups = new Map();
+
+  for (const reaction of reactions) {
+    const value = reaction[key];
+    if (value === null || value === undefined) continue;
+
+    const group = groups.get(value) || { before: [], after: [] };
+    (new Date(reaction.timestamp) < midpoint ? group.before : group.after).push(reaction.intensity);
+    groups.set(value, group);
+  }
+
+  const changes = [];
+  for (const [value, { before, after }] of groups) {
+    if (before.length < minSamples || after.length < minSamples) continue;
+
+    const earlier = average(before);
+    const recent = average(after);
+    changes.push({ [key]: value, earlier, recent, change: recent - earlier, samples: before.length + after.length });
+  }
+
+  return changes
+    .sort((a, b) => Math.abs(b.change) - Math.abs(a.change))
+    .slice(0, 5);
+}
+
 export default async function analyticsRoutes(fastify, options) {
+  // Analytics are clinical information
+  fastify.addHook('preHandler', requirePermission('analytics:clinical'));
+
   // Real-time analytics endpoint
-  fastify.get('/realtime/:profileId', async (request, reply) => {
+  fastify.get('/realtime/:profileId', {
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          range: { type: 'string', enum: Object.keys(RANGE_DAYS), default: 'day' },
+          from: { type: 'string', format: 'date-time' },
+          to: { type: 'string', format: 'date-time' }
+        }
+      }
+    }
+  }, async (request, reply) => {
     try {
       const { profileId } = request.params;
-      
-      // Get real-time analytics data
+
+      const profile = await Profile.findForInstitute(profileId, request.user.id);
+      if (!profile) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Profile not found'
+        });
+      }
+
+      const window = resolveRange(request.query);
+      const today = { from: startOfToday(), to: new Date() };
+
+      const [listening, listeningToday, favoriteGenres, recentReactions, reactionSummary] = await Promise.all([
+        SessionRecord.aggregateListening(profileId, window),
+        SessionRecord.aggregateListening(profileId, today),
+        Reaction.aggregateFavoriteGenres(profileId, window),
+        Reaction.findRecent(profileId, window),
+        Reaction.aggregateSummary(profileId, window)
+      ]);
+
+      const active = activeListening(fastify.sessionManager, profileId, window.from);
+
       const analytics = {
         profileId,
         timestamp: Date.now(),
+        range: window,
         metrics: {
-          sessionsToday: 0,
-          totalListeningTime: 0,
-          favoriteGenres: [],
-          recentReactions: [],
-          engagementLevel: 0.5
+          sessionsToday: listeningToday.sessions + active.sessions,
+          sessionCount: listening.sessions + active.sessions,
+          totalListeningTime: Math.round((listening.totalMs + active.totalMs) / 1000), // seconds
+          favoriteGenres,
+          recentReactions: recentReactions.map(reaction => ({
+            sessionId: reaction.sessionId,
+            trackId: reaction.trackId,
+            reaction: reaction.reaction,
+            intensity: reaction.intensity,
+            timestamp: reaction.timestamp
+          })),
+          totalReactions: reactionSummary.total,
+          positivityRatio: reactionSummary.total > 0 ? reactionSummary.positive / reactionSummary.total : 0,
+          // Average intensity mapped from the 1-5 scale onto 0-1
+          engagementLevel: reactionSummary.averageIntensity !== null
+            ? (reactionSummary.averageIntensity - 1) / 4
+            : null
         }
       };
-      
+
       reply.send({
         success: true,
         data: { analytics }
       });
-      
+
     } catch (error) {
       fastify.log.error('Get analytics error:', error);
       reply.code(500).send({
@@ -30,5 +192,120 @@ export default async function analyticsRoutes(fastify, options) {
       });
     }
   });
-}
+  
+  // Longitudinal wellbeing trends for one resident
+  fastify.get('/trends/:profileId', {
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          bucket: { type: 'string', enum: ['week', 'month'], default: 'week' },
+          from: { type: 'string', format: 'date-time' },
+          to: { type: 'string', format: 'date-time' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { profileId } = request.params;
+      const { bucket = 'week' } = request.query;
+
+      const profile = await Profile.findForInstitute(profileId, request.user.id);
+      if (!profile) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Profile not found'
+        });
+      }
+
+      // Default to the last 12 weeks or 6 months
+      const to = request.query.to ? new Date(request.query.to) : new Date();
+      let from = request.query.from ? new Date(request.query.from) : new Date(to);
+      if (!request.query.from) {
+        if (bucket === 'month') {
+          from.setMonth(from.getMonth() - 5);
+        } else {
+          from.setDate(from.getDate() - 7 * 11);
+        }
+      }
+      from = bucketStart(from, bucket);
+
+      const maxDays = bucket === 'month' ? 366 * 5 : 7 * 104;
+      if (to - from > maxDays * 24 * 60 * 60 * 1000) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: `Range too long for ${bucket}ly buckets`
+        });
+      }
+
+      const [reactions, records] = await Promise.all([
+        Reaction.findWithTrackInfo(profileId, { from, to }),
+        SessionRecord.findHistory(request.user.id, { profileId, from, to })
+      ]);
+
+      const series = [];
+      for (let start = from; start <= to; start = nextBucket(start, bucket)) {
+        const end = nextBucket(start, bucket);
+        const inBucket = date => new Date(date) >= start && new Date(date) < end;
 
+        const bucketReactions = reactions.filter(reaction => inBucket(reaction.timestamp));
+        const bucketRecords = records.filter(record => inBucket(record.startedAt));
+
+        const listeningMs = bucketRecords.reduce((sum, record) => sum + record.participants
+          .filter(participant => participant.profileId === profileId)
+          .reduce((total, participant) =>
+            total + ((participant.leftAt || record.endedAt) - participant.joinedAt), 0), 0);
+
+        const engagements = bucketRecords
+          .map(record => record.reactions.filter(reaction => reaction.profileId === profileId))
+          .filter(sessionReactions => sessionReactions.length > 0)
+          .map(sessionReactions => sessionEngagement(fastify.sessionManager, sessionReactions.map(reaction => ({
+            intensity: Reaction.scoreFor(reaction.reaction, reaction.intensity),
+            timestamp: reaction.timestamp
+          }))));
+
+        series.push({
+          start,
+          end,
+          sessions: bucketRecords.length,
+          reactions: bucketReactions.length,
+          averageIntensity: average(bucketReactions.map(reaction => reaction.intensity)),
+          positivityRatio: bucketReactions.length > 0
+            ? bucketReactions.filter(reaction => reaction.intensity >= 4).length / bucketReactions.length
+            : null,
+          engagement: average(engagements),
+          listeningMinutes: Math.round(listeningMs / 60000)
+        });
+      }
+
+      const midpoint = new Date((from.getTime() + to.getTime()) / 2);
+      const decadeReactions = reactions.map(reaction => ({
+        ...reaction,
+        era: reaction.era ? Math.floor(reaction.era / 10) * 10 : null
+      }));
+
+      reply.send({
+        success: true,
+        data: {
+          trends: {
+            profileId,
+            bucket,
+            range: { from, to },
+            series,
+            changes: {
+              genres: responseChanges(reactions, 'genre', midpoint),
+              eras: responseChanges(decadeReactions, 'era', midpoint)
+            }
+          }
+        }
+      });
+
+    } catch (error) {
+      fastify.log.error('Get trends error:', error);
+      reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to get trends'
+      });
+    }
+  });
+}
@@ -1,6 +1,69 @@
 import { v4 as uuidv4 } from 'uuid';
+import AuthSession from '../models/AuthSession.js';
 import Institute from '../models/Institute.js';
+import Staff from '../models/Staff.js';
 import { generateOTP, sendEmail } from '../utils/email.js';
+import { EMAIL_LANGUAGES } from '../utils/email-templates.js';
+
+const deviceProperty = { type: 'string', maxLength: 200 };
+
+const OTP_ERRORS = {
+  invalid: { statusCode: 400, error: 'Bad Request', message: 'Invalid OTP' },
+  expired: { statusCode: 400, error: 'Bad Request', message: 'OTP has expired. Please request a new one.' },
+  locked: { statusCode: 429, error: 'Too Many Requests', message: 'Too many failed attempts. Please request a new code.' }
+};
+
+function rejectOTP(reply, result) {
+  const { statusCode, error, message } = OTP_ERRORS[result];
+  return reply.code(statusCode).send({ error, message });
+}
+
+// Claims for an access token. The institute stays the id so data is scoped
+// to it; sid ties the token to the device session it was issued for.
+function accessClaims({ institute, staff }, sessionId) {
+  if (staff) {
+    return {
+      id: staff.institute,
+      staffId: staff._id,
+      email: staff.email,
+      role: staff.role,
+      sid: sessionId
+    };
+  }
+  
+  return {
+    id: institute._id,
+    email: institute.email,
+    uid: institute.uid,
+    role: 'admin',
+    sid: sessionId
+  };
+}
+
+// Sign in a device: a short-lived access token plus a refresh token
+async function startSession(fastify, request, account) {
+  const { session, refreshToken } = await AuthSession.issue({
+    institute: account.staff ? account.staff.institute : account.institute._id,
+    staff: account.staff ? account.staff._id : null,
+    device: request.body.device || request.headers['user-agent']
+  });
+  
+  return {
+    token: fastify.jwt.sign(accessClaims(account, session._id)),
+    refreshToken
+  };
+}
+
+// The account behind a device session, if it may still sign in
+async function findAccount(session) {
+  if (session.staff) {
+    const staff = await Staff.findById(session.staff);
+    return staff && staff.isActive ? { staff } : null;
+  }
+  
+  const institute = await Institute.findById(session.institute);
+  return institute ? { institute } : null;
+}
 
 export default async function authRoutes(fastify, options) {
   // Sign up
@@ -12,17 +75,22 @@ export default async function authRoutes(fastify, options) {
         properties: {
           email: { type: 'string', format: 'email' },
           name: { type: 'string', minLength: 2 },
-          password: { type: 'string', minLength: 6 }
+          password: { type: 'string', minLength: 6 },
+          language: { type: 'string', enum: EMAIL_LANGUAGES },
+          device: deviceProperty
         }
       }
     }
   }, async (request, reply) => {
-    const { email, name, password } = request.body;
+    const { email, name, password, language } = request.body;
     
     try {
       // Check if user already exists
-      const existingInstitute = await Institute.findByEmail(email);
-      if (existingInstitute) {
+      const [existingInstitute, existingStaff] = await Promise.all([
+        Institute.findByEmail(email),
+        Staff.findByEmail(email)
+      ]);
+      if (existingInstitute || existingStaff) {
         return reply.code(409).send({
           error: 'Conflict',
           message: 'User with this email already exists'
@@ -34,26 +102,22 @@ export default async function authRoutes(fastify, options) {
         email,
         name,
         password,
-        isVerifyAuth: false
+        isVerifyAuth: false,
+        preferences: { language }
       });
       
       institute.generateUID();
       await institute.save();
       
-      // Generate JWT token
-      const token = fastify.jwt.sign({ 
-        id: institute._id,
-        email: institute.email,
-        uid: institute.uid
-      });
+      // Generate JWT tokens
+      const { token, refreshToken } = await startSession(fastify, request, { institute });
       
       // Generate and send OTP
       const otp = generateOTP();
-      institute.otpResetPassword = otp;
-      await institute.save();
+      await institute.setOTP(otp, 'verify');
       
       // Send verification email (async)
-      sendEmail(email, 'signup', { otp, name }).catch(err => {
+      sendEmail(email, 'signup', { otp, name }, { language: institute.preferences.language }).catch(err => {
         fastify.log.error('Failed to send signup email:', err);
       });
       
@@ -62,7 +126,8 @@ export default async function authRoutes(fastify, options) {
         message: 'Account created successfully. Please check your email for verification.',
         data: {
           institute: institute.toPublicJSON(),
-          token
+          token,
+          refreshToken
         }
       });
       
@@ -83,7 +148,8 @@ export default async function authRoutes(fastify, options) {
         required: ['email', 'password'],
         properties: {
           email: { type: 'string', format: 'email' },
-          password: { type: 'string' }
+          password: { type: 'string' },
+          device: deviceProperty
         }
       }
     }
@@ -91,12 +157,28 @@ export default async function authRoutes(fastify, options) {
     const { email, password } = request.body;
     
     try {
-      // Find institute
+      // Find institute, or a staff account belonging to one
       const institute = await Institute.findByEmail(email);
       if (!institute) {
-        return reply.code(401).send({
-          error: 'Unauthorized',
-          message: 'Invalid email or password'
+        const staff = await Staff.findByEmail(email);
+        if (!staff || !staff.isActive || !await staff.comparePassword(password)) {
+          return reply.code(401).send({
+            error: 'Unauthorized',
+            message: 'Invalid email or password'
+          });
+        }
+        
+        await staff.updateLastLogin();
+        const { token, refreshToken } = await startSession(fastify, request, { staff });
+        
+        return reply.send({
+          success: true,
+          message: 'Login successful',
+          data: {
+            staff: staff.toPublicJSON(),
+            token,
+            refreshToken
+          }
         });
       }
       
@@ -120,19 +202,16 @@ export default async function authRoutes(fastify, options) {
       // Update last login
       await institute.updateLastLogin();
       
-      // Generate JWT token
-      const token = fastify.jwt.sign({ 
-        id: institute._id,
-        email: institute.email,
-        uid: institute.uid
-      });
+      // Generate JWT tokens
+      const { token, refreshToken } = await startSession(fastify, request, { institute });
       
       reply.send({
         success: true,
         message: 'Login successful',
         data: {
           institute: institute.toPublicJSON(),
-          token
+          token,
+          refreshToken
         }
       });
       
@@ -169,16 +248,13 @@ export default async function authRoutes(fastify, options) {
         });
       }
       
-      if (institute.otpResetPassword !== otp) {
-        return reply.code(400).send({
-          error: 'Bad Request',
-          message: 'Invalid OTP'
-        });
+      const result = await institute.checkOTP(otp, 'verify');
+      if (result !== 'valid') {
+        return rejectOTP(reply, result);
       }
       
       // Verify account
       institute.isVerifyAuth = true;
-      institute.otpResetPassword = null;
       await institute.save();
       
       reply.send({
@@ -195,6 +271,54 @@ export default async function authRoutes(fastify, options) {
     }
   });
   
+  // Send a fresh verification code
+  fastify.post('/resend-verification', {
+    schema: {
+      body: {
+        type: 'object',
+        required: ['email'],
+        properties: {
+          email: { type: 'string', format: 'email' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { email } = request.body;
+    
+    try {
+      const institute = await Institute.findByEmail(email);
+      if (institute && !institute.isVerifyAuth) {
+        const cooldown = institute.otpCooldownSeconds('verify');
+        if (cooldown > 0) {
+          return reply.code(429).header('Retry-After', cooldown).send({
+            error: 'Too Many Requests',
+            message: `Please wait ${cooldown} seconds before requesting another code`
+          });
+        }
+        
+        const otp = generateOTP();
+        await institute.setOTP(otp, 'verify');
+        
+        // Send verification email (async)
+        sendEmail(email, 'signup', { otp, name: institute.name }, { language: institute.preferences.language }).catch(err => {
+          fastify.log.error('Failed to send verification email:', err);
+        });
+      }
+      
+      reply.send({
+        success: true,
+        message: 'If an unverified account with this email exists, a new code has been sent.'
+      });
+      
+    } catch (error) {
+      fastify.log.error('Resend verification error:', error);
+      reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to resend verification code'
+      });
+    }
+  });
+  
   // Request password reset
   fastify.post('/forgot-password', {
     schema: {
@@ -219,15 +343,16 @@ export default async function authRoutes(fastify, options) {
         });
       }
       
-      // Generate and send OTP
-      const otp = generateOTP();
-      institute.otpResetPassword = otp;
-      await institute.save();
-      
-      // Send reset email (async)
-      sendEmail(email, 'reset', { otp, name: institute.name }).catch(err => {
-        fastify.log.error('Failed to send reset email:', err);
-      });
+      // Generate and send OTP, unless one was sent moments ago
+      if (institute.otpCooldownSeconds('reset') === 0) {
+        const otp = generateOTP();
+        await institute.setOTP(otp, 'reset');
+        
+        // Send reset email (async)
+        sendEmail(email, 'reset', { otp, name: institute.name }, { language: institute.preferences.language }).catch(err => {
+          fastify.log.error('Failed to send reset email:', err);
+        });
+      }
       
       reply.send({
         success: true,
@@ -268,17 +393,15 @@ export default async function authRoutes(fastify, options) {
         });
       }
       
-      if (institute.otpResetPassword !== otp) {
-        return reply.code(400).send({
-          error: 'Bad Request',
-          message: 'Invalid OTP'
-        });
+      const result = await institute.checkOTP(otp, 'reset');
+      if (result !== 'valid') {
+        return rejectOTP(reply, result);
       }
       
-      // Reset password
+      // Reset password, signing out every device that used the old one
       institute.password = newPassword;
-      institute.otpResetPassword = null;
       await institute.save();
+      await AuthSession.revokeAll({ institute: institute._id }, 'password reset');
       
       reply.send({
         success: true,
@@ -293,5 +416,110 @@ export default async function authRoutes(fastify, options) {
       });
     }
   });
+  
+  // Swap a refresh token for a new access token and refresh token
+  fastify.post('/refresh', {
+    schema: {
+      body: {
+        type: 'object',
+        required: ['refreshToken'],
+        properties: {
+          refreshToken: { type: 'string' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { refreshToken } = request.body;
+    
+    try {
+      const session = await AuthSession.findByRefreshToken(refreshToken);
+      if (!session) {
+        // A rotated-out token coming back means it was copied; end that device session
+        const reused = await AuthSession.findByUsedToken(refreshToken);
+        if (reused && !reused.revokedAt) {
+          await reused.revoke('refresh token reused');
+        }
+        
+        return reply.code(401).send({
+          error: 'Unauthorized',
+          message: 'Invalid refresh token'
+        });
+      }
+      
+      if (session.revokedAt || session.expiresAt <= new Date()) {
+        return reply.code(401).send({
+          error: 'Unauthorized',
+          message: 'Session has expired or been revoked'
+        });
+      }
+      
+      // Role changes and deactivation take effect on the next refresh
+      const account = await findAccount(session);
+      if (!account) {
+        await session.revoke('account disabled');
+        return reply.code(401).send({
+          error: 'Unauthorized',
+          message: 'Account is no longer active'
+        });
+      }
+      
+      // Losing the race to another request with the same token is reuse too
+      const nextRefreshToken = await session.rotate();
+      if (!nextRefreshToken) {
+        await session.revoke('refresh token reused');
+        return reply.code(401).send({
+          error: 'Unauthorized',
+          message: 'Invalid refresh token'
+        });
+      }
+      
+      reply.send({
+        success: true,
+        message: 'Token refreshed successfully',
+        data: {
+          token: fastify.jwt.sign(accessClaims(account, session._id)),
+          refreshToken: nextRefreshToken
+        }
+      });
+      
+    } catch (error) {
+      fastify.log.error('Refresh token error:', error);
+      reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to refresh token'
+      });
+    }
+  });
+  
+  // Sign this device out; its access and refresh tokens stop working
+  fastify.post('/logout', {
+    schema: {
+      body: {
+        type: 'object',
+        required: ['refreshToken'],
+        properties: {
+          refreshToken: { type: 'string' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const session = await AuthSession.findByRefreshToken(request.body.refreshToken);
+      if (session && !session.revokedAt) {
+        await session.revoke('logout');
+      }
+      
+      reply.send({
+        success: true,
+        message: 'Logged out successfully'
+      });
+      
+    } catch (error) {
+      fastify.log.error('Logout error:', error);
+      reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to log out'
+      });
+    }
+  });
 }
-
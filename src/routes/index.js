@@ -1,9 +1,11 @@
+import AuthSession from '../models/AuthSession.js';
 import authRoutes from './auth.js';
 import profileRoutes from './profiles.js';
 import trackRoutes from './tracks.js';
 import playlistRoutes from './playlists.js';
 import sessionRoutes from './sessions.js';
 import analyticsRoutes from './analytics.js';
+import staffRoutes from './staff.js';
 
 export async function setupRoutes(fastify) {
   // API versioning
@@ -18,11 +20,19 @@ export async function setupRoutes(fastify) {
         try {
           await request.jwtVerify();
         } catch (err) {
-          reply.code(401).send({ 
+          return reply.code(401).send({ 
             error: 'Unauthorized',
             message: 'Valid JWT token required'
           });
         }
+        
+        // Tokens from logged-out or revoked devices stop working straight away
+        if (!await AuthSession.isActive(request.user.sid)) {
+          return reply.code(401).send({
+            error: 'Unauthorized',
+            message: 'Session has been revoked'
+          });
+        }
       });
       
       // Register protected routes
@@ -31,6 +41,7 @@ export async function setupRoutes(fastify) {
       await fastify.register(playlistRoutes, { prefix: '/playlists' });
       await fastify.register(sessionRoutes, { prefix: '/sessions' });
       await fastify.register(analyticsRoutes, { prefix: '/analytics' });
+      await fastify.register(staffRoutes, { prefix: '/staff' });
       
     });
   }, { prefix: '/api/v1' });
@@ -1,7 +1,433 @@
+import mongoose from 'mongoose';
+import Playlist from '../models/Playlist.js';
+import Profile from '../models/Profile.js';
+import Track from '../models/Track.js';
+import { requirePermission } from '../utils/permissions.js';
+
+const idList = { type: 'array', items: { type: 'string' } };
+
+// Check that every track id points at an active Track
+async function tracksExist(trackIds) {
+  if (!trackIds.every(id => mongoose.isValidObjectId(id))) return false;
+
+  const count = await Track.countDocuments({ _id: { $in: trackIds }, isActive: true });
+  return count === new Set(trackIds).size;
+}
+
+// Check that every profile id belongs to the caller's institute
+async function profilesOwned(profileIds, instituteId) {
+  if (!profileIds.every(id => mongoose.isValidObjectId(id))) return false;
+
+  const count = await Profile.countDocuments({ _id: { $in: profileIds }, institute: instituteId });
+  return count === new Set(profileIds).size;
+}
+
+function notFound(reply) {
+  return reply.code(404).send({
+    error: 'Not Found',
+    message: 'Playlist not found'
+  });
+}
+
 export default async function playlistRoutes(fastify, options) {
-  // Create placeholder routes for playlists
+  // List playlists, optionally only those assigned to one profile
   fastify.get('/', async (request, reply) => {
-    reply.send({ message: 'Playlists endpoint - implementation pending' });
+    try {
+      const { profileId } = request.query;
+      if (profileId && !mongoose.isValidObjectId(profileId)) {
+        return reply.send({
+          success: true,
+          data: { playlists: [] }
+        });
+      }
+
+      const playlists = await Playlist.findByInstitute(request.user.id, { profileId });
+
+      reply.send({
+        success: true,
+        data: { playlists: playlists.map(playlist => playlist.toPublicJSON()) }
+      });
+
+    } catch (error) {
+      fastify.log.error('List playlists error:', error);
+      reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to list playlists'
+      });
+    }
   });
-}
 
+  // Create a playlist
+  fastify.post('/', {
+    preHandler: requirePermission('playlists:manage'),
+    schema: {
+      body: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          description: { type: 'string' },
+          trackIds: idList,
+          profileIds: idList
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { name, description, trackIds = [], profileIds = [] } = request.body;
+
+      if (!await tracksExist(trackIds)) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: 'One or more tracks do not exist'
+        });
+      }
+
+      if (!await profilesOwned(profileIds, request.user.id)) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: 'One or more profiles do not exist'
+        });
+      }
+
+      const playlist = new Playlist({
+        institute: request.user.id,
+        name,
+        description,
+        profiles: [...new Set(profileIds)]
+      });
+      trackIds.forEach(trackId => playlist.addTrack(trackId));
+      await playlist.save();
+
+      reply.code(201).send({
+        success: true,
+        message: 'Playlist created successfully',
+        data: { playlist: playlist.toPublicJSON() }
+      });
+
+    } catch (error) {
+      fastify.log.error('Create playlist error:', error);
+      reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to create playlist'
+      });
+    }
+  });
+
+  // Generate a "life soundtrack" playlist from a profile's reminiscence bump
+  fastify.post('/life-soundtrack', {
+    preHandler: requirePermission('playlists:manage'),
+    schema: {
+      body: {
+        type: 'object',
+        required: ['profileId'],
+        properties: {
+          profileId: { type: 'string' },
+          name: { type: 'string', minLength: 1 },
+          size: { type: 'integer', minimum: 1, maximum: 100, default: 25 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { profileId, name, size = 25 } = request.body;
+
+      const profile = await Profile.findForInstitute(profileId, request.user.id);
+      if (!profile || profile.isArchived) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Profile not found'
+        });
+      }
+
+      if (!profile.birthYear) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: 'Profile needs a birth year to build a life soundtrack'
+        });
+      }
+
+      const soundtrack = await fastify.musicEngine.buildLifeSoundtrack(profile, size);
+
+      const playlist = new Playlist({
+        institute: request.user.id,
+        name: name || `${profile.name}'s Life Soundtrack`,
+        description: `Songs from ${profile.birthYear + 10} to ${profile.birthYear + 30}`,
+        source: 'life-soundtrack',
+        profiles: [profile._id]
+      });
+      soundtrack.forEach(({ trackId }) => playlist.addTrack(trackId));
+      await playlist.save();
+
+      reply.code(201).send({
+        success: true,
+        message: 'Life soundtrack created successfully',
+        data: { playlist: playlist.toPublicJSON() }
+      });
+
+    } catch (error) {
+      fastify.log.error('Life soundtrack error:', error);
+      reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to build life soundtrack'
+      });
+    }
+  });
+
+  // Get playlist with its tracks in order
+  fastify.get('/:playlistId', async (request, reply) => {
+    try {
+      const { playlistId } = request.params;
+
+      const playlist = await Playlist.findForInstitute(playlistId, request.user.id);
+      if (!playlist) return notFound(reply);
+
+      await playlist.populate('tracks.track');
+
+      reply.send({
+        success: true,
+        data: { playlist: playlist.toPublicJSON() }
+      });
+
+    } catch (error) {
+      fastify.log.error('Get playlist error:', error);
+      reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to get playlist'
+      });
+    }
+  });
+
+  // Rename playlist or change its description
+  fastify.put('/:playlistId', {
+    preHandler: requirePermission('playlists:manage'),
+    schema: {
+      body: {
+        type: 'object',
+        minProperties: 1,
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          description: { type: 'string' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { playlistId } = request.params;
+      const { name, description } = request.body;
+
+      const playlist = await Playlist.findForInstitute(playlistId, request.user.id);
+      if (!playlist) return notFound(reply);
+
+      if (name !== undefined) playlist.name = name;
+      if (description !== undefined) playlist.description = description;
+      await playlist.save();
+
+      reply.send({
+        success: true,
+        message: 'Playlist updated successfully',
+        data: { playlist: playlist.toPublicJSON() }
+      });
+
+    } catch (error) {
+      fastify.log.error('Update playlist error:', error);
+      reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to update playlist'
+      });
+    }
+  });
+
+  // Reorder tracks
+  fastify.put('/:playlistId/order', {
+    preHandler: requirePermission('playlists:manage'),
+    schema: {
+      body: {
+        type: 'object',
+        required: ['trackIds'],
+        properties: {
+          trackIds: idList
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { playlistId } = request.params;
+
+      const playlist = await Playlist.findForInstitute(playlistId, request.user.id);
+      if (!playlist) return notFound(reply);
+
+      if (!playlist.reorder(request.body.trackIds)) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: 'trackIds must list every track in the playlist exactly once'
+        });
+      }
+      await playlist.save();
+
+      reply.send({
+        success: true,
+        message: 'Playlist reordered successfully',
+        data: { playlist: playlist.toPublicJSON() }
+      });
+
+    } catch (error) {
+      fastify.log.error('Reorder playlist error:', error);
+      reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to reorder playlist'
+      });
+    }
+  });
+
+  // Add a track, appending unless a position is given
+  fastify.post('/:playlistId/tracks', {
+    preHandler: requirePermission('playlists:manage'),
+    schema: {
+      body: {
+        type: 'object',
+        required: ['trackId'],
+        properties: {
+          trackId: { type: 'string' },
+          position: { type: 'integer', minimum: 0 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { playlistId } = request.params;
+      const { trackId, position } = request.body;
+
+      const playlist = await Playlist.findForInstitute(playlistId, request.user.id);
+      if (!playlist) return notFound(reply);
+
+      if (!await tracksExist([trackId])) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Track not found'
+        });
+      }
+
+      if (!playlist.addTrack(trackId, position)) {
+        return reply.code(409).send({
+          error: 'Conflict',
+          message: 'Track is already in this playlist'
+        });
+      }
+      await playlist.save();
+
+      reply.send({
+        success: true,
+        message: 'Track added successfully',
+        data: { playlist: playlist.toPublicJSON() }
+      });
+
+    } catch (error) {
+      fastify.log.error('Add playlist track error:', error);
+      reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to add track'
+      });
+    }
+  });
+
+  // Remove a track
+  fastify.delete('/:playlistId/tracks/:trackId', { preHandler: requirePermission('playlists:manage') }, async (request, reply) => {
+    try {
+      const { playlistId, trackId } = request.params;
+
+      const playlist = await Playlist.findForInstitute(playlistId, request.user.id);
+      if (!playlist) return notFound(reply);
+
+      if (!playlist.removeTrack(trackId)) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Track is not in this playlist'
+        });
+      }
+      await playlist.save();
+
+      reply.send({
+        success: true,
+        message: 'Track removed successfully',
+        data: { playlist: playlist.toPublicJSON() }
+      });
+
+    } catch (error) {
+      fastify.log.error('Remove playlist track error:', error);
+      reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to remove track'
+      });
+    }
+  });
+
+  // Assign playlist to profiles
+  fastify.put('/:playlistId/profiles', {
+    preHandler: requirePermission('playlists:manage'),
+    schema: {
+      body: {
+        type: 'object',
+        required: ['profileIds'],
+        properties: {
+          profileIds: idList
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { playlistId } = request.params;
+      const { profileIds } = request.body;
+
+      const playlist = await Playlist.findForInstitute(playlistId, request.user.id);
+      if (!playlist) return notFound(reply);
+
+      if (!await profilesOwned(profileIds, request.user.id)) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: 'One or more profiles do not exist'
+        });
+      }
+
+      playlist.profiles = [...new Set(profileIds)];
+      await playlist.save();
+
+      reply.send({
+        success: true,
+        message: 'Playlist assignment updated successfully',
+        data: { playlist: playlist.toPublicJSON() }
+      });
+
+    } catch (error) {
+      fastify.log.error('Assign playlist error:', error);
+      reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to assign playlist'
+      });
+    }
+  });
+
+  // Delete playlist
+  fastify.delete('/:playlistId', { preHandler: requirePermission('playlists:manage') }, async (request, reply) => {
+    try {
+      const { playlistId } = request.params;
+
+      const playlist = await Playlist.findForInstitute(playlistId, request.user.id);
+      if (!playlist) return notFound(reply);
+
+      await playlist.deleteOne();
+
+      reply.send({
+        success: true,
+        message: 'Playlist deleted successfully'
+      });
+
+    } catch (error) {
+      fastify.log.error('Delete playlist error:', error);
+      reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to delete playlist'
+      });
+    }
+  });
+}
@@ -1,7 +1,268 @@
+import BlocklistAudit from '../models/BlocklistAudit.js';
+import Profile from '../models/Profile.js';
+import { hasPermission, requirePermission, roleOf } from '../utils/permissions.js';
+
+const profileProperties = {
+  name: { type: 'string', minLength: 1 },
+  birthYear: { type: 'integer', minimum: 1900, maximum: 2100 },
+  preferredLanguages: { type: 'array', items: { type: 'string' } },
+  favoriteGenres: { type: 'array', items: { type: 'string' } },
+  culturalBackground: { type: 'string' },
+  culturalTags: { type: 'array', items: { type: 'string' } },
+  dementiaStage: { type: 'string', enum: ['unknown', 'mild', 'moderate', 'severe'] },
+  notes: { type: 'string' },
+  alertThresholds: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      strongDislikeCount: { type: 'integer', minimum: 1 },
+      strongDislikeWindowMinutes: { type: 'number', minimum: 1 },
+      engagementDrop: { type: 'number', minimum: 0, maximum: 1 },
+      silenceMinutes: { type: 'number', minimum: 1 },
+      autoCalm: { type: 'boolean' }
+    }
+  },
+  blocklist: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      tracks: { type: 'array', items: { type: 'string', pattern: '^[0-9a-fA-F]{24}$' } },
+      artists: { type: 'array', items: { type: 'string' } },
+      genres: { type: 'array', items: { type: 'string' } },
+      tags: { type: 'array', items: { type: 'string' } }
+    }
+  }
+};
+
+// Caregivers keep blocklists up to date; the rest of a profile is for therapists
+async function authorizeProfileUpdate(request, reply) {
+  const permissions = new Set(Object.keys(request.body)
+    .map(field => field === 'blocklist' ? 'blocklists:edit' : 'profiles:edit'));
+
+  for (const permission of permissions) {
+    if (!hasPermission(request.user, permission)) {
+      return reply.code(403).send({
+        error: 'Forbidden',
+        message: `The ${roleOf(request.user)} role cannot do this`
+      });
+    }
+  }
+}
+
+// Family members see a resident's preferences but not their clinical notes
+const clinicalFields = ['dementiaStage', 'notes'];
+
+function profileFor(user, profile) {
+  const json = profile.toPublicJSON();
+  if (!hasPermission(user, 'profiles:clinical')) {
+    clinicalFields.forEach(field => delete json[field]);
+  }
+  return json;
+}
+
 export default async function profileRoutes(fastify, options) {
-  // Create placeholder routes for profiles
+  // List profiles for the caller's institute
   fastify.get('/', async (request, reply) => {
-    reply.send({ message: 'Profiles endpoint - implementation pending' });
+    try {
+      const includeArchived = request.query.includeArchived === 'true';
+
+      const profiles = await Profile.findByInstitute(request.user.id, { includeArchived });
+
+      reply.send({
+        success: true,
+        data: { profiles: profiles.map(profile => profileFor(request.user, profile)) }
+      });
+
+    } catch (error) {
+      fastify.log.error('List profiles error:', error);
+      reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to list profiles'
+      });
+    }
   });
-}
 
+  // Create a profile
+  fastify.post('/', {
+    preHandler: requirePermission('profiles:edit'),
+    schema: {
+      body: {
+        type: 'object',
+        required: ['name'],
+        additionalProperties: false,
+        properties: profileProperties
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      // Only editable fields; archiving and ownership stay server-side
+      const profile = new Profile({ institute: request.user.id });
+      for (const field of Object.keys(profileProperties)) {
+        if (request.body[field] !== undefined) {
+          profile.set(field, request.body[field]);
+        }
+      }
+      await profile.save();
+
+      reply.code(201).send({
+        success: true,
+        message: 'Profile created successfully',
+        data: { profile: profileFor(request.user, profile) }
+      });
+
+    } catch (error) {
+      fastify.log.error('Create profile error:', error);
+      reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to create profile'
+      });
+    }
+  });
+
+  // Get profile by ID
+  fastify.get('/:profileId', async (request, reply) => {
+    try {
+      const { profileId } = request.params;
+
+      const profile = await Profile.findForInstitute(profileId, request.user.id);
+      if (!profile) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Profile not found'
+        });
+      }
+
+      reply.send({
+        success: true,
+        data: { profile: profileFor(request.user, profile) }
+      });
+
+    } catch (error) {
+      fastify.log.error('Get profile error:', error);
+      reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to get profile'
+      });
+    }
+  });
+
+  // Update profile
+  fastify.put('/:profileId', {
+    preHandler: authorizeProfileUpdate,
+    schema: {
+      body: {
+        type: 'object',
+        minProperties: 1,
+        additionalProperties: false,
+        properties: profileProperties
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { profileId } = request.params;
+
+      const profile = await Profile.findForInstitute(profileId, request.user.id);
+      if (!profile || profile.isArchived) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Profile not found'
+        });
+      }
+
+      for (const field of Object.keys(profileProperties)) {
+        if (request.body[field] !== undefined) {
+          // merge so a partial alertThresholds or blocklist keeps the other keys
+          profile.set(field, request.body[field], { merge: true });
+        }
+      }
+      await profile.save();
+      
+      if (request.body.blocklist !== undefined) {
+        fastify.sessionManager.updateParticipantBlocklist(profile);
+      }
+
+      reply.send({
+        success: true,
+        message: 'Profile updated successfully',
+        data: { profile: profileFor(request.user, profile) }
+      });
+
+    } catch (error) {
+      fastify.log.error('Update profile error:', error);
+      reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to update profile'
+      });
+    }
+  });
+
+  // Archive profile
+  fastify.delete('/:profileId', { preHandler: requirePermission('profiles:edit') }, async (request, reply) => {
+    try {
+      const { profileId } = request.params;
+
+      const profile = await Profile.findForInstitute(profileId, request.user.id);
+      if (!profile || profile.isArchived) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Profile not found'
+        });
+      }
+
+      await profile.archive();
+
+      reply.send({
+        success: true,
+        message: 'Profile archived successfully',
+        data: { profile: profileFor(request.user, profile) }
+      });
+
+    } catch (error) {
+      fastify.log.error('Archive profile error:', error);
+      reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to archive profile'
+      });
+    }
+  });
+
+  // Tracks the profile's blocklist kept out or flagged, newest first
+  fastify.get('/:profileId/blocklist/audit', {
+    preHandler: requirePermission('blocklists:edit'),
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          limit: { type: 'integer', minimum: 1, maximum: 200, default: 50 },
+          skip: { type: 'integer', minimum: 0, default: 0 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { profileId } = request.params;
+
+      const profile = await Profile.findForInstitute(profileId, request.user.id);
+      if (!profile) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Profile not found'
+        });
+      }
+
+      const entries = await BlocklistAudit.findByProfile(profile._id, request.query);
+
+      reply.send({
+        success: true,
+        data: { entries: entries.map(entry => entry.toPublicJSON()) }
+      });
+
+    } catch (error) {
+      fastify.log.error('Get blocklist audit error:', error);
+      reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to get blocklist audit'
+      });
+    }
+  });
+}
@@ -1,11 +1,44 @@
+import Playlist from '../models/Playlist.js';
+import Profile from '../models/Profile.js';
+import SessionRecord from '../models/SessionRecord.js';
+import { requirePermission } from '../utils/permissions.js';
+
+// Session manager errors carry the HTTP status they map to
+const STATUS_ERRORS = {
+  400: 'Bad Request',
+  404: 'Not Found'
+};
+
+function notFound(reply, message) {
+  return reply.code(404).send({
+    error: 'Not Found',
+    message
+  });
+}
+
+// REST callers get one participant per login, so /leave finds what /join added
+function httpConnectionId(user) {
+  return 'http_' + (user.staffId || user.id);
+}
+
 export default async function sessionRoutes(fastify, options) {
+  // Sessions belong to the institute that started them; anyone else gets a 404
+  fastify.addHook('preHandler', async (request, reply) => {
+    const { sessionId } = request.params;
+    if (sessionId && !fastify.sessionManager.getSessionForInstitute(sessionId, request.user.id)) {
+      return notFound(reply, 'Session not found');
+    }
+  });
+  
   // Create a new music therapy session
   fastify.post('/', {
+    preHandler: requirePermission('sessions:run'),
     schema: {
       body: {
         type: 'object',
         properties: {
           profileId: { type: 'string' },
+          playlistId: { type: 'string' },
           settings: {
             type: 'object',
             properties: {
@@ -19,20 +52,42 @@ export default async function sessionRoutes(fastify, options) {
     }
   }, async (request, reply) => {
     try {
-      const { profileId, settings } = request.body;
+      const { profileId, playlistId, settings } = request.body;
+      
+      // Seed the session queue from a saved playlist
+      let playlist = [];
+      if (playlistId) {
+        const savedPlaylist = await Playlist.findForInstitute(playlistId, request.user.id);
+        if (!savedPlaylist) {
+          return reply.code(404).send({
+            error: 'Not Found',
+            message: 'Playlist not found'
+          });
+        }
+        playlist = await savedPlaylist.getActiveTrackIds();
+      }
       
       const session = fastify.sessionManager.createSession({
         settings,
+        playlistId: playlistId || null,
+        playlist,
         createdBy: request.user.id
       });
       
       // If profileId provided, auto-join the session
       if (profileId) {
-        await fastify.sessionManager.joinSession(session.id, {
-          userId: request.user.id,
-          profileId,
-          connectionId: 'http_' + Date.now()
-        });
+        try {
+          await fastify.sessionManager.joinSession(session.id, {
+            userId: request.user.staffId || request.user.id,
+            profileId,
+            instituteId: request.user.id,
+            connectionId: httpConnectionId(request.user)
+          });
+        } catch (error) {
+          // Don't leave an empty session behind for an unknown profile
+          fastify.sessionManager.discardSession(session.id);
+          throw error;
+        }
       }
       
       reply.code(201).send({
@@ -43,6 +98,12 @@ export default async function sessionRoutes(fastify, options) {
       
     } catch (error) {
       fastify.log.error('Create session error:', error);
+      if (error.statusCode === 404) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: error.message
+        });
+      }
       reply.code(500).send({
         error: 'Internal Server Error',
         message: 'Failed to create session'
@@ -50,6 +111,74 @@ export default async function sessionRoutes(fastify, options) {
     }
   });
   
+  // List ended sessions for the caller's institute
+  fastify.get('/history', {
+    preHandler: requirePermission('history:view'),
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          profileId: { type: 'string' },
+          from: { type: 'string', format: 'date-time' },
+          to: { type: 'string', format: 'date-time' },
+          limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+          skip: { type: 'integer', minimum: 0, default: 0 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { profileId, from, to, limit = 20, skip = 0 } = request.query;
+      
+      const records = await SessionRecord.findHistory(request.user.id, {
+        profileId,
+        from: from ? new Date(from) : null,
+        to: to ? new Date(to) : null
+      })
+        .skip(skip)
+        .limit(limit);
+      
+      reply.send({
+        success: true,
+        data: { sessions: records.map(record => record.toSummaryJSON()) }
+      });
+      
+    } catch (error) {
+      fastify.log.error('Get session history error:', error);
+      reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to get session history'
+      });
+    }
+  });
+  
+  // Get the full report for one ended session
+  fastify.get('/history/:id', { preHandler: requirePermission('history:view') }, async (request, reply) => {
+    try {
+      const { id } = request.params;
+      
+      const record = await SessionRecord.findForInstitute(id, request.user.id);
+      if (!record) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Session record not found'
+        });
+      }
+      
+      reply.send({
+        success: true,
+        data: { session: record }
+      });
+      
+    } catch (error) {
+      fastify.log.error('Get session record error:', error);
+      reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to get session record'
+      });
+    }
+  });
+  
   // Get session details
   fastify.get('/:sessionId', async (request, reply) => {
     try {
@@ -85,7 +214,7 @@ export default async function sessionRoutes(fastify, options) {
   // Get all active sessions
   fastify.get('/', async (request, reply) => {
     try {
-      const sessions = fastify.sessionManager.getActiveSessions();
+      const sessions = fastify.sessionManager.getActiveSessions(request.user.id);
       
       reply.send({
         success: true,
@@ -103,6 +232,7 @@ export default async function sessionRoutes(fastify, options) {
   
   // Join a session
   fastify.post('/:sessionId/join', {
+    preHandler: requirePermission('sessions:run'),
     schema: {
       body: {
         type: 'object',
@@ -118,9 +248,10 @@ export default async function sessionRoutes(fastify, options) {
       const { profileId } = request.body;
       
       const session = await fastify.sessionManager.joinSession(sessionId, {
-        userId: request.user.id,
+        userId: request.user.staffId || request.user.id,
         profileId,
-        connectionId: 'http_' + Date.now()
+        instituteId: request.user.id,
+        connectionId: httpConnectionId(request.user)
       });
       
       // Get initial recommendations
@@ -137,6 +268,12 @@ export default async function sessionRoutes(fastify, options) {
       
     } catch (error) {
       fastify.log.error('Join session error:', error);
+      if (error.statusCode === 404) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: error.message
+        });
+      }
       reply.code(500).send({
         error: 'Internal Server Error',
         message: 'Failed to join session'
@@ -145,11 +282,11 @@ export default async function sessionRoutes(fastify, options) {
   });
   
   // Leave a session
-  fastify.post('/:sessionId/leave', async (request, reply) => {
+  fastify.post('/:sessionId/leave', { preHandler: requirePermission('sessions:run') }, async (request, reply) => {
     try {
       const { sessionId } = request.params;
       
-      fastify.sessionManager.leaveSession(sessionId, 'http_' + request.user.id);
+      fastify.sessionManager.leaveSession(sessionId, httpConnectionId(request.user));
       
       reply.send({
         success: true,
@@ -167,10 +304,12 @@ export default async function sessionRoutes(fastify, options) {
   
   // Update current track in session
   fastify.post('/:sessionId/track', {
+    preHandler: requirePermission('sessions:run'),
     schema: {
       body: {
         type: 'object',
         required: ['trackId'],
+        additionalProperties: false,
         properties: {
           trackId: { type: 'string' },
           title: { type: 'string' },
@@ -181,13 +320,22 @@ export default async function sessionRoutes(fastify, options) {
   }, async (request, reply) => {
     try {
       const { sessionId } = request.params;
-      const trackInfo = request.body;
       
-      fastify.sessionManager.updateCurrentTrack(sessionId, trackInfo);
+      // Catalogue details win over the body so blocklist checks can't be dodged;
+      // the title and artist sent are only used for tracks outside the catalogue
+      const trackInfo = {
+        ...request.body,
+        ...(await fastify.sessionManager.findTrackInfo(request.body.trackId))
+      };
+      
+      const blocklistMatches = fastify.sessionManager.updateCurrentTrack(sessionId, trackInfo) || [];
       
       reply.send({
         success: true,
-        message: 'Track updated successfully'
+        message: 'Track updated successfully',
+        data: {
+          blocklistWarnings: blocklistMatches.map(({ profileId, rule, value }) => ({ profileId, rule, value }))
+        }
       });
       
     } catch (error) {
@@ -201,10 +349,11 @@ export default async function sessionRoutes(fastify, options) {
   
   // Submit reaction
   fastify.post('/:sessionId/reaction', {
+    preHandler: requirePermission('sessions:run'),
     schema: {
       body: {
         type: 'object',
-        required: ['trackId', 'reaction'],
+        required: ['trackId', 'reaction', 'profileId'],
         properties: {
           trackId: { type: 'string' },
           reaction: { 
@@ -219,8 +368,16 @@ export default async function sessionRoutes(fastify, options) {
   }, async (request, reply) => {
     try {
       const { sessionId } = request.params;
+      const { profileId } = request.body;
+      
+      // Only residents taking part can react, so nobody else can trigger a skip
+      if (!fastify.sessionManager.isProfileInSession(sessionId, profileId)) {
+        return notFound(reply, 'Profile not found in this session');
+      }
+      
       const reactionData = {
         ...request.body,
+        connectionId: httpConnectionId(request.user),
         timestamp: Date.now()
       };
       
@@ -233,6 +390,17 @@ export default async function sessionRoutes(fastify, options) {
         ...reactionData
       });
       
+      // Let every tablet in the session see the reaction
+      fastify.broadcastToSession(sessionId, {
+        type: 'REACTION_PROCESSED',
+        trackId: reactionData.trackId,
+        reaction: reactionData.reaction,
+        intensity: reactionData.intensity,
+        profileId: reactionData.profileId,
+        suggestions: result.nextTracks || [],
+        sessionMetrics: result.sessionMetrics || {}
+      });
+      
       reply.send({
         success: true,
         message: 'Reaction recorded successfully',
@@ -249,12 +417,26 @@ export default async function sessionRoutes(fastify, options) {
   });
   
   // Get session recommendations
-  fastify.get('/:sessionId/recommendations', async (request, reply) => {
+  fastify.get('/:sessionId/recommendations', {
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          profileId: { type: 'string' },
+          hydrate: { type: 'boolean', default: true } // include track details
+        }
+      }
+    }
+  }, async (request, reply) => {
     try {
       const { sessionId } = request.params;
-      const { profileId } = request.query;
+      const { profileId, hydrate } = request.query;
       
-      const recommendations = await fastify.musicEngine.getSessionRecommendations(sessionId, profileId);
+      if (profileId && !await Profile.findForInstitute(profileId, request.user.id)) {
+        return notFound(reply, 'Profile not found');
+      }
+      
+      const recommendations = await fastify.musicEngine.getSessionRecommendations(sessionId, profileId, { hydrate });
       
       reply.send({
         success: true,
@@ -270,8 +452,149 @@ export default async function sessionRoutes(fastify, options) {
     }
   });
   
+  // Get the autoplay queue
+  fastify.get('/:sessionId/queue', async (request, reply) => {
+    try {
+      const { sessionId } = request.params;
+      const queue = fastify.sessionManager.getQueue(sessionId);
+      
+      if (!queue) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Session not found'
+        });
+      }
+      
+      reply.send({
+        success: true,
+        data: queue
+      });
+      
+    } catch (error) {
+      fastify.log.error('Get queue error:', error);
+      reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to get queue'
+      });
+    }
+  });
+  
+  // Pin a track so it plays next
+  fastify.post('/:sessionId/queue/pin', {
+    preHandler: requirePermission('sessions:run'),
+    schema: {
+      body: {
+        type: 'object',
+        required: ['trackId'],
+        properties: {
+          trackId: { type: 'string' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { sessionId } = request.params;
+      const queue = fastify.sessionManager.pinTrack(sessionId, request.body.trackId);
+      
+      reply.send({
+        success: true,
+        message: 'Track pinned successfully',
+        data: queue
+      });
+      
+    } catch (error) {
+      fastify.log.error('Pin track error:', error);
+      if (STATUS_ERRORS[error.statusCode]) {
+        return reply.code(error.statusCode).send({
+          error: STATUS_ERRORS[error.statusCode],
+          message: error.message
+        });
+      }
+      reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to pin track'
+      });
+    }
+  });
+  
+  // Reorder the queue; trackIds must list every queued track
+  fastify.put('/:sessionId/queue/order', {
+    preHandler: requirePermission('sessions:run'),
+    schema: {
+      body: {
+        type: 'object',
+        required: ['trackIds'],
+        properties: {
+          trackIds: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { sessionId } = request.params;
+      const queue = fastify.sessionManager.reorderQueue(sessionId, request.body.trackIds);
+      
+      reply.send({
+        success: true,
+        message: 'Queue reordered successfully',
+        data: queue
+      });
+      
+    } catch (error) {
+      fastify.log.error('Reorder queue error:', error);
+      if (STATUS_ERRORS[error.statusCode]) {
+        return reply.code(error.statusCode).send({
+          error: STATUS_ERRORS[error.statusCode],
+          message: error.message
+        });
+      }
+      reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to reorder queue'
+      });
+    }
+  });
+  
+  // Veto a track for the rest of the session
+  fastify.post('/:sessionId/queue/veto', {
+    preHandler: requirePermission('sessions:run'),
+    schema: {
+      body: {
+        type: 'object',
+        required: ['trackId'],
+        properties: {
+          trackId: { type: 'string' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { sessionId } = request.params;
+      const queue = await fastify.sessionManager.vetoTrack(sessionId, request.body.trackId);
+      
+      reply.send({
+        success: true,
+        message: 'Track vetoed successfully',
+        data: queue
+      });
+      
+    } catch (error) {
+      fastify.log.error('Veto track error:', error);
+      if (STATUS_ERRORS[error.statusCode]) {
+        return reply.code(error.statusCode).send({
+          error: STATUS_ERRORS[error.statusCode],
+          message: error.message
+        });
+      }
+      reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to veto track'
+      });
+    }
+  });
+  
   // End session
-  fastify.delete('/:sessionId', async (request, reply) => {
+  fastify.delete('/:sessionId', { preHandler: requirePermission('sessions:end') }, async (request, reply) => {
     try {
       const { sessionId } = request.params;
       
@@ -0,0 +1,228 @@
+import AuthSession from '../models/AuthSession.js';
+import Institute from '../models/Institute.js';
+import Staff, { STAFF_ROLES } from '../models/Staff.js';
+import { sendEmail } from '../utils/email.js';
+import { requirePermission } from '../utils/permissions.js';
+
+const staffProperties = {
+  name: { type: 'string', minLength: 2 },
+  role: { type: 'string', enum: STAFF_ROLES },
+  password: { type: 'string', minLength: 6 }
+};
+
+function notFound(reply) {
+  return reply.code(404).send({
+    error: 'Not Found',
+    message: 'Staff account not found'
+  });
+}
+
+export default async function staffRoutes(fastify, options) {
+  // Only admins manage who can log in for the institute
+  fastify.addHook('preHandler', requirePermission('staff:manage'));
+
+  // List staff accounts for the caller's institute
+  fastify.get('/', async (request, reply) => {
+    try {
+      const staff = await Staff.findByInstitute(request.user.id);
+
+      reply.send({
+        success: true,
+        data: { staff: staff.map(member => member.toPublicJSON()) }
+      });
+
+    } catch (error) {
+      fastify.log.error('List staff error:', error);
+      reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to list staff'
+      });
+    }
+  });
+
+  // Create a staff account
+  fastify.post('/', {
+    schema: {
+      body: {
+        type: 'object',
+        required: ['email', 'name', 'password', 'role'],
+        additionalProperties: false,
+        properties: {
+          email: { type: 'string', format: 'email' },
+          ...staffProperties
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { email } = request.body;
+
+      const [existingInstitute, existingStaff] = await Promise.all([
+        Institute.findByEmail(email),
+        Staff.findByEmail(email)
+      ]);
+      if (existingInstitute || existingStaff) {
+        return reply.code(409).send({
+          error: 'Conflict',
+          message: 'User with this email already exists'
+        });
+      }
+
+      const staff = new Staff({
+        ...request.body,
+        institute: request.user.id
+      });
+      await staff.save();
+
+      // Let them know the account exists (async)
+      const institute = await Institute.findById(request.user.id);
+      sendEmail(staff.email, 'staffInvitation', {
+        name: staff.name,
+        instituteName: institute ? institute.name : 'Fuxi',
+        role: staff.role
+      }, { language: institute ? institute.preferences.language : undefined }).catch(err => {
+        fastify.log.error('Failed to send staff invitation email:', err);
+      });
+
+      reply.code(201).send({
+        success: true,
+        message: 'Staff account created successfully',
+        data: { staff: staff.toPublicJSON() }
+      });
+
+    } catch (error) {
+      fastify.log.error('Create staff error:', error);
+      reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to create staff account'
+      });
+    }
+  });
+
+  // Update name, role or password, or (de)activate an account
+  fastify.put('/:staffId', {
+    schema: {
+      body: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          ...staffProperties,
+          isActive: { type: 'boolean' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { staffId } = request.params;
+
+      const staff = await Staff.findForInstitute(staffId, request.user.id);
+      if (!staff) {
+        return notFound(reply);
+      }
+
+      // Admins can't lock themselves out
+      const demotesSelf = request.body.role !== undefined && request.body.role !== 'admin';
+      if (String(staff._id) === String(request.user.staffId) && (demotesSelf || request.body.isActive === false)) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: 'You cannot remove your own admin access'
+        });
+      }
+
+      // Tokens carry the role, so logins made under the old one must go
+      const changesRole = request.body.role !== undefined && request.body.role !== staff.role;
+
+      for (const field of [...Object.keys(staffProperties), 'isActive']) {
+        if (request.body[field] !== undefined) {
+          staff[field] = request.body[field];
+        }
+      }
+      await staff.save();
+
+      // Existing logins shouldn't outlive a deactivation, a password change or a role change
+      if (request.body.isActive === false) {
+        await AuthSession.revokeAll({ institute: staff.institute, staff: staff._id }, 'account deactivated');
+      } else if (request.body.password !== undefined) {
+        await AuthSession.revokeAll({ institute: staff.institute, staff: staff._id }, 'password changed');
+      } else if (changesRole) {
+        await AuthSession.revokeAll({ institute: staff.institute, staff: staff._id }, 'role changed');
+      }
+
+      reply.send({
+        success: true,
+        message: 'Staff account updated successfully',
+        data: { staff: staff.toPublicJSON() }
+      });
+
+    } catch (error) {
+      fastify.log.error('Update staff error:', error);
+      reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to update staff account'
+      });
+    }
+  });
+
+  // Deactivate a staff account
+  fastify.delete('/:staffId', async (request, reply) => {
+    try {
+      const { staffId } = request.params;
+
+      const staff = await Staff.findForInstitute(staffId, request.user.id);
+      if (!staff || !staff.isActive) {
+        return notFound(reply);
+      }
+
+      if (String(staff._id) === String(request.user.staffId)) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: 'You cannot remove your own admin access'
+        });
+      }
+
+      staff.isActive = false;
+      await staff.save();
+      await AuthSession.revokeAll({ institute: staff.institute, staff: staff._id }, 'account deactivated');
+
+      reply.send({
+        success: true,
+        message: 'Staff account deactivated successfully',
+        data: { staff: staff.toPublicJSON() }
+      });
+
+    } catch (error) {
+      fastify.log.error('Deactivate staff error:', error);
+      reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to deactivate staff account'
+      });
+    }
+  });
+
+  // Sign a staff member out on every device, e.g. after a tablet goes missing
+  fastify.post('/:staffId/revoke-sessions', async (request, reply) => {
+    try {
+      const { staffId } = request.params;
+
+      const staff = await Staff.findForInstitute(staffId, request.user.id);
+      if (!staff) {
+        return notFound(reply);
+      }
+
+      const revoked = await AuthSession.revokeAll({ institute: staff.institute, staff: staff._id }, 'revoked by admin');
+
+      reply.send({
+        success: true,
+        message: 'Sessions revoked successfully',
+        data: { revoked }
+      });
+
+    } catch (error) {
+      fastify.log.error('Revoke staff sessions error:', error);
+      reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to revoke sessions'
+      });
+    }
+  });
+}
@@ -1,4 +1,42 @@
 import Track from '../models/Track.js';
+import { requirePermission } from '../utils/permissions.js';
+
+const featureProperties = Object.fromEntries(
+  ['energy', 'valence', 'acousticness', 'danceability', 'instrumentalness']
+    .map(feature => [feature, { type: 'number', minimum: 0, maximum: 1 }])
+);
+
+const trackProperties = {
+  title: { type: 'string', minLength: 1 },
+  ytId: { type: 'string', minLength: 1 },
+  artist: { type: 'string' },
+  language: { type: 'string', minLength: 1 },
+  genre: { type: 'string' },
+  imageUrl: { type: 'string', minLength: 1 },
+  era: { type: 'integer' },
+  uri: { type: 'string' },
+  features: {
+    type: 'object',
+    additionalProperties: false,
+    properties: { ...featureProperties, tempo: { type: 'number', minimum: 0 } }
+  },
+  tags: { type: 'array', items: { type: 'string' } },
+  duration: { type: 'number', minimum: 0 }
+};
+
+function notFound(reply) {
+  return reply.code(404).send({
+    error: 'Not Found',
+    message: 'Track not found'
+  });
+}
+
+function duplicateYouTubeId(reply) {
+  return reply.code(409).send({
+    error: 'Conflict',
+    message: 'A track with this YouTube id already exists'
+  });
+}
 
 export default async function trackRoutes(fastify, options) {
   // Search tracks
@@ -124,5 +162,114 @@ export default async function trackRoutes(fastify, options) {
       });
     }
   });
+  
+  // Add a track to the catalogue
+  fastify.post('/', {
+    preHandler: requirePermission('tracks:manage'),
+    schema: {
+      body: {
+        type: 'object',
+        required: ['title', 'ytId', 'language', 'imageUrl'],
+        additionalProperties: false,
+        properties: trackProperties
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      if (await Track.exists({ ytId: request.body.ytId })) {
+        return duplicateYouTubeId(reply);
+      }
+      
+      const track = new Track(request.body);
+      await track.save();
+      
+      reply.code(201).send({
+        success: true,
+        message: 'Track created successfully',
+        data: { track }
+      });
+      
+    } catch (error) {
+      fastify.log.error('Create track error:', error);
+      reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to create track'
+      });
+    }
+  });
+  
+  // Edit a track's details; analytics stay server-side
+  fastify.put('/:trackId', {
+    preHandler: requirePermission('tracks:manage'),
+    schema: {
+      body: {
+        type: 'object',
+        additionalProperties: false,
+        properties: { ...trackProperties, isActive: { type: 'boolean' } }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { trackId } = request.params;
+      
+      const track = await Track.findById(trackId);
+      if (!track) {
+        return notFound(reply);
+      }
+      
+      const { ytId } = request.body;
+      if (ytId !== undefined && ytId !== track.ytId && await Track.exists({ ytId })) {
+        return duplicateYouTubeId(reply);
+      }
+      
+      // Features set one by one so a partial update keeps the others
+      const { features = {}, ...details } = request.body;
+      track.set(details);
+      for (const [feature, value] of Object.entries(features)) {
+        track.set(`features.${feature}`, value);
+      }
+      await track.save();
+      
+      reply.send({
+        success: true,
+        message: 'Track updated successfully',
+        data: { track }
+      });
+      
+    } catch (error) {
+      fastify.log.error('Update track error:', error);
+      reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to update track'
+      });
+    }
+  });
+  
+  // Retire a track; playlists and session history keep pointing at it
+  fastify.delete('/:trackId', { preHandler: requirePermission('tracks:manage') }, async (request, reply) => {
+    try {
+      const { trackId } = request.params;
+      
+      const track = await Track.findById(trackId);
+      if (!track || !track.isActive) {
+        return notFound(reply);
+      }
+      
+      track.isActive = false;
+      await track.save();
+      
+      reply.send({
+        success: true,
+        message: 'Track retired successfully',
+        data: { track }
+      });
+      
+    } catch (error) {
+      fastify.log.error('Retire track error:', error);
+      reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to retire track'
+      });
+    }
+  });
 }
-
@@ -13,7 +13,11 @@ import { connectDatabase } from './utils/database.js';
 import { setupWebSocketHandlers } from './reactive/websocket-handler.js';
 import { setupRoutes } from './routes/index.js';
 import { ReactiveSessionManager } from './reactive/session-manager.js';
+import { createSessionStore } from './reactive/session-store.js';
 import { MusicRecommendationEngine } from './reactive/music-engine.js';
+import { AgitationAlertEngine } from './reactive/alert-engine.js';
+import { CareTeamNotifier } from './reactive/care-team-notifier.js';
+import { getMailTransport } from './utils/email.js';
 
 // Load environment variables
 dotenv.config();
@@ -21,10 +25,35 @@ dotenv.config();
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// Query parameters that carry credentials and must not reach the logs
+const REDACTED_QUERY_PARAMS = ['token', 'resume'];
+
+function redactUrl(url) {
+  const [path, query] = url.split('?');
+  if (!query) return url;
+  
+  const params = new URLSearchParams(query);
+  for (const name of REDACTED_QUERY_PARAMS) {
+    if (params.has(name)) params.set(name, 'redacted');
+  }
+  return `${path}?${params}`;
+}
+
 // Create Fastify instance with logging
 const fastify = Fastify({
   logger: {
     level: process.env.LOG_LEVEL || 'info',
+    serializers: {
+      req(request) {
+        return {
+          method: request.method,
+          url: redactUrl(request.url),
+          hostname: request.hostname,
+          remoteAddress: request.ip,
+          remotePort: request.socket ? request.socket.remotePort : undefined
+        };
+      }
+    },
     transport: process.env.NODE_ENV === 'development' ? {
       target: 'pino-pretty',
       options: {
@@ -75,19 +104,27 @@ async function setupPlugins() {
     skipOnError: true
   });
   
-  // JWT
+  // JWT: short-lived access tokens, renewed through /auth/refresh. A default
+  // secret would let anyone who reads this file sign tokens, so only tests
+  // may run without one.
+  const jwtSecret = process.env.JWT_SECRET || (process.env.NODE_ENV === 'test' ? 'test-secret' : null);
+  if (!jwtSecret) {
+    throw new Error('JWT_SECRET must be set');
+  }
   await fastify.register(jwt, {
-    secret: process.env.JWT_SECRET || 'super-secret-key-change-in-production'
+    secret: jwtSecret,
+    sign: { expiresIn: process.env.ACCESS_TOKEN_TTL || '15m' }
   });
   
-  // WebSocket support
+  // Mail settings are checked now rather than on the first signup
+  getMailTransport();
+  
+  // WebSocket support (JWT is checked per route before the upgrade)
   await fastify.register(websocket, {
     options: {
       maxPayload: 1048576, // 1MB
-      verifyClient: (info) => {
-        // Add WebSocket authentication logic here if needed
-        return true;
-      }
+      // Never echo the token back when it was sent as a subprotocol
+      handleProtocols: (protocols) => protocols.has('bearer') ? 'bearer' : false
     }
   });
 }
@@ -111,13 +148,40 @@ fastify.get('/health', async (request, reply) => {
 
 // Reactive features
 async function setupReactiveFeatures() {
-  // Initialize reactive session manager
-  const sessionManager = new ReactiveSessionManager();
-  fastify.decorate('sessionManager', sessionManager);
-  
   // Initialize music recommendation engine
   const musicEngine = new MusicRecommendationEngine();
   fastify.decorate('musicEngine', musicEngine);
+  fastify.addHook('onClose', async () => {
+    await musicEngine.close();
+  });
+  
+  // Initialize reactive session manager on the configured state backend;
+  // the engine keeps autoplay queues going once a playlist runs out
+  const sessionStore = await createSessionStore();
+  const sessionManager = new ReactiveSessionManager({
+    store: sessionStore,
+    recommendTracks: (sessionId, profileId) => musicEngine.getSessionRecommendations(sessionId, profileId)
+  });
+  await sessionManager.connectStore();
+  fastify.decorate('sessionManager', sessionManager);
+  fastify.addHook('onClose', async () => {
+    await sessionManager.close();
+    await sessionStore.close();
+  });
+  musicEngine.followSessions(sessionManager);
+  
+  // Watch live reactions for agitation and alert caregivers
+  const alertEngine = new AgitationAlertEngine({ sessionManager, musicEngine });
+  fastify.decorate('alertEngine', alertEngine);
+  fastify.addHook('onClose', async () => {
+    alertEngine.close();
+  });
+  
+  // Email urgent alerts and session summaries to the care team
+  const careTeamNotifier = new CareTeamNotifier({ sessionManager, alertEngine });
+  fastify.addHook('onClose', async () => {
+    careTeamNotifier.close();
+  });
   
   // Setup WebSocket handlers
   setupWebSocketHandlers(fastify);
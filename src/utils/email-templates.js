@@ -0,0 +1,335 @@
+// Email templates keyed by type, then language. Each template turns the
+// data passed to sendEmail into { subject, html, text }; languages without
+// a translation fall back to English.
+
+export const DEFAULT_LANGUAGE = 'en';
+export const EMAIL_LANGUAGES = ['en', 'zh'];
+
+const templates = new Map();
+
+export function registerTemplate(type, language, template) {
+  if (!templates.has(type)) {
+    templates.set(type, new Map());
+  }
+  templates.get(type).set(language, template);
+}
+
+export function hasTemplate(type) {
+  return templates.has(type);
+}
+
+export function templateLanguages(type) {
+  return templates.has(type) ? Array.from(templates.get(type).keys()) : [];
+}
+
+export function renderTemplate(type, data = {}, language = DEFAULT_LANGUAGE) {
+  const translations = templates.get(type);
+  if (!translations) {
+    throw new Error(`Unknown email template: ${type}`);
+  }
+
+  const resolved = translations.has(language) ? language : DEFAULT_LANGUAGE;
+  const { subject, body, text } = translations.get(resolved)(data);
+
+  return {
+    language: resolved,
+    subject: `[Fuxi] - ${subject}`,
+    html: layout(body),
+    text: `${text.trim()}\n`
+  };
+}
+
+// Names and messages come from users, so they're escaped before going into HTML
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function layout(body) {
+  return `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      ${body}
+    </div>
+  `;
+}
+
+function codeBox(code) {
+  return `
+      <div style="background: #f5f5f5; padding: 20px; text-align: center; font-size: 24px; font-weight: bold; letter-spacing: 2px; margin: 20px 0;">
+        ${escapeHtml(code)}
+      </div>`;
+}
+
+function list(items) {
+  return `<ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+}
+
+function percent(value) {
+  return `${Math.round((value || 0) * 100)}%`;
+}
+
+function formatDate(value, language) {
+  const date = value ? new Date(value) : new Date();
+  return date.toLocaleString(language === 'zh' ? 'zh-CN' : 'en-GB', {
+    dateStyle: 'medium',
+    timeStyle: 'short'
+  });
+}
+
+// Signup verification code
+
+registerTemplate('signup', 'en', ({ name, otp }) => ({
+  subject: 'Welcome! Verify Your Account',
+  body: `
+      <h1 style="color: #4A90E2;">Welcome to Fuxi!</h1>
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>Thank you for joining Fuxi - the reactive music therapy platform for dementia care.</p>
+      <p>Your verification code is:</p>
+      ${codeBox(otp)}
+      <p>This code will expire in 10 minutes.</p>
+      <p>Best regards,<br>The Fuxi Team</p>`,
+  text: `
+Hi ${name},
+
+Thank you for joining Fuxi - the reactive music therapy platform for dementia care.
+
+Your verification code is: ${otp}
+
+This code will expire in 10 minutes.
+
+Best regards,
+The Fuxi Team`
+}));
+
+registerTemplate('signup', 'zh', ({ name, otp }) => ({
+  subject: '欢迎加入！请验证您的账户',
+  body: `
+      <h1 style="color: #4A90E2;">欢迎加入 Fuxi！</h1>
+      <p>${escapeHtml(name)}，您好：</p>
+      <p>感谢您加入 Fuxi —— 为失智症照护设计的互动音乐治疗平台。</p>
+      <p>您的验证码是：</p>
+      ${codeBox(otp)}
+      <p>验证码将在 10 分钟后失效。</p>
+      <p>此致<br>Fuxi 团队</p>`,
+  text: `
+${name}，您好：
+
+感谢您加入 Fuxi —— 为失智症照护设计的互动音乐治疗平台。
+
+您的验证码是：${otp}
+
+验证码将在 10 分钟后失效。
+
+此致
+Fuxi 团队`
+}));
+
+// Password reset code
+
+registerTemplate('reset', 'en', ({ name, otp }) => ({
+  subject: 'Password Reset Request',
+  body: `
+      <h1 style="color: #4A90E2;">Password Reset</h1>
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>We received a request to reset your password.</p>
+      <p>Your reset code is:</p>
+      ${codeBox(otp)}
+      <p>This code will expire in 10 minutes.</p>
+      <p>If you didn't request this, please ignore this email.</p>
+      <p>Best regards,<br>The Fuxi Team</p>`,
+  text: `
+Hi ${name},
+
+We received a request to reset your password.
+
+Your reset code is: ${otp}
+
+This code will expire in 10 minutes.
+If you didn't request this, please ignore this email.
+
+Best regards,
+The Fuxi Team`
+}));
+
+registerTemplate('reset', 'zh', ({ name, otp }) => ({
+  subject: '密码重置请求',
+  body: `
+      <h1 style="color: #4A90E2;">重置密码</h1>
+      <p>${escapeHtml(name)}，您好：</p>
+      <p>我们收到了重置您账户密码的请求。</p>
+      <p>您的重置验证码是：</p>
+      ${codeBox(otp)}
+      <p>验证码将在 10 分钟后失效。</p>
+      <p>如果这不是您本人的操作，请忽略此邮件。</p>
+      <p>此致<br>Fuxi 团队</p>`,
+  text: `
+${name}，您好：
+
+我们收到了重置您账户密码的请求。
+
+您的重置验证码是：${otp}
+
+验证码将在 10 分钟后失效。
+如果这不是您本人的操作，请忽略此邮件。
+
+此致
+Fuxi 团队`
+}));
+
+// Summary of an ended session, for the care team
+// data: { name, sessionName, endedAt, durationMinutes, participantCount,
+//         tracksPlayed, engagement (0-1), topTracks: [title], alertCount }
+
+registerTemplate('sessionSummary', 'en', (data) => {
+  const topTracks = data.topTracks || [];
+  return {
+    subject: `Session Summary: ${data.sessionName}`,
+    body: `
+      <h1 style="color: #4A90E2;">Session Summary</h1>
+      <p>Hi ${escapeHtml(data.name)},</p>
+      <p>Here is how <strong>${escapeHtml(data.sessionName)}</strong> went (ended ${escapeHtml(formatDate(data.endedAt, 'en'))}).</p>
+      <ul>
+        <li>Duration: ${escapeHtml(data.durationMinutes)} minutes</li>
+        <li>Residents: ${escapeHtml(data.participantCount)}</li>
+        <li>Tracks played: ${escapeHtml(data.tracksPlayed)}</li>
+        <li>Average engagement: ${percent(data.engagement)}</li>
+        <li>Alerts raised: ${escapeHtml(data.alertCount || 0)}</li>
+      </ul>
+      ${topTracks.length ? `<p>Best received tracks:</p>${list(topTracks)}` : ''}
+      <p>Best regards,<br>The Fuxi Team</p>`,
+    text: `
+Hi ${data.name},
+
+Here is how ${data.sessionName} went (ended ${formatDate(data.endedAt, 'en')}).
+
+- Duration: ${data.durationMinutes} minutes
+- Residents: ${data.participantCount}
+- Tracks played: ${data.tracksPlayed}
+- Average engagement: ${percent(data.engagement)}
+- Alerts raised: ${data.alertCount || 0}
+${topTracks.length ? `\nBest received tracks:\n${topTracks.map(title => `- ${title}`).join('\n')}\n` : ''}
+Best regards,
+The Fuxi Team`
+  };
+});
+
+registerTemplate('sessionSummary', 'zh', (data) => {
+  const topTracks = data.topTracks || [];
+  return {
+    subject: `音乐活动总结：${data.sessionName}`,
+    body: `
+      <h1 style="color: #4A90E2;">音乐活动总结</h1>
+      <p>${escapeHtml(data.name)}，您好：</p>
+      <p>以下是 <strong>${escapeHtml(data.sessionName)}</strong> 的活动情况（结束于 ${escapeHtml(formatDate(data.endedAt, 'zh'))}）。</p>
+      <ul>
+        <li>时长：${escapeHtml(data.durationMinutes)} 分钟</li>
+        <li>参与长者：${escapeHtml(data.participantCount)} 位</li>
+        <li>播放曲目：${escapeHtml(data.tracksPlayed)} 首</li>
+        <li>平均投入度：${percent(data.engagement)}</li>
+        <li>提醒次数：${escapeHtml(data.alertCount || 0)}</li>
+      </ul>
+      ${topTracks.length ? `<p>最受欢迎的曲目：</p>${list(topTracks)}` : ''}
+      <p>此致<br>Fuxi 团队</p>`,
+    text: `
+${data.name}，您好：
+
+以下是 ${data.sessionName} 的活动情况（结束于 ${formatDate(data.endedAt, 'zh')}）。
+
+- 时长：${data.durationMinutes} 分钟
+- 参与长者：${data.participantCount} 位
+- 播放曲目：${data.tracksPlayed} 首
+- 平均投入度：${percent(data.engagement)}
+- 提醒次数：${data.alertCount || 0}
+${topTracks.length ? `\n最受欢迎的曲目：\n${topTracks.map(title => `- ${title}`).join('\n')}\n` : ''}
+此致
+Fuxi 团队`
+  };
+});
+
+// An agitation alert raised during a live session
+// data: { name, profileName, severity, message, sessionName, raisedAt, calmingTrack }
+
+registerTemplate('caregiverAlert', 'en', (data) => ({
+  subject: `${data.severity === 'high' ? 'Urgent: ' : ''}Alert for ${data.profileName}`,
+  body: `
+      <h1 style="color: ${data.severity === 'high' ? '#D0021B' : '#F5A623'};">Alert for ${escapeHtml(data.profileName)}</h1>
+      <p>Hi ${escapeHtml(data.name)},</p>
+      <p>${escapeHtml(data.message)} during <strong>${escapeHtml(data.sessionName)}</strong> (${escapeHtml(formatDate(data.raisedAt, 'en'))}).</p>
+      ${data.calmingTrack ? `<p>A calming track was started automatically: ${escapeHtml(data.calmingTrack)}.</p>` : ''}
+      <p>Please check in on ${escapeHtml(data.profileName)} when you can.</p>
+      <p>Best regards,<br>The Fuxi Team</p>`,
+  text: `
+Hi ${data.name},
+
+${data.message} during ${data.sessionName} (${formatDate(data.raisedAt, 'en')}).
+${data.calmingTrack ? `A calming track was started automatically: ${data.calmingTrack}.\n` : ''}
+Please check in on ${data.profileName} when you can.
+
+Best regards,
+The Fuxi Team`
+}));
+
+registerTemplate('caregiverAlert', 'zh', (data) => ({
+  subject: `${data.severity === 'high' ? '紧急：' : ''}${data.profileName} 的照护提醒`,
+  body: `
+      <h1 style="color: ${data.severity === 'high' ? '#D0021B' : '#F5A623'};">${escapeHtml(data.profileName)} 的照护提醒</h1>
+      <p>${escapeHtml(data.name)}，您好：</p>
+      <p>在 <strong>${escapeHtml(data.sessionName)}</strong> 中（${escapeHtml(formatDate(data.raisedAt, 'zh'))}）：${escapeHtml(data.message)}。</p>
+      ${data.calmingTrack ? `<p>系统已自动播放舒缓曲目：${escapeHtml(data.calmingTrack)}。</p>` : ''}
+      <p>请尽快前往关注 ${escapeHtml(data.profileName)} 的情况。</p>
+      <p>此致<br>Fuxi 团队</p>`,
+  text: `
+${data.name}，您好：
+
+在 ${data.sessionName} 中（${formatDate(data.raisedAt, 'zh')}）：${data.message}。
+${data.calmingTrack ? `系统已自动播放舒缓曲目：${data.calmingTrack}。\n` : ''}
+请尽快前往关注 ${data.profileName} 的情况。
+
+此致
+Fuxi 团队`
+}));
+
+// A new staff account was created for someone
+// data: { name, instituteName, role }
+
+registerTemplate('staffInvitation', 'en', (data) => ({
+  subject: `You've been added to ${data.instituteName}`,
+  body: `
+      <h1 style="color: #4A90E2;">Welcome to the team!</h1>
+      <p>Hi ${escapeHtml(data.name)},</p>
+      <p>${escapeHtml(data.instituteName)} has created a Fuxi account for you with the <strong>${escapeHtml(data.role)}</strong> role.</p>
+      <p>Sign in with this email address and the password your administrator gave you.</p>
+      <p>Best regards,<br>The Fuxi Team</p>`,
+  text: `
+Hi ${data.name},
+
+${data.instituteName} has created a Fuxi account for you with the ${data.role} role.
+
+Sign in with this email address and the password your administrator gave you.
+
+Best regards,
+The Fuxi Team`
+}));
+
+registerTemplate('staffInvitation', 'zh', (data) => ({
+  subject: `您已加入 ${data.instituteName}`,
+  body: `
+      <h1 style="color: #4A90E2;">欢迎加入团队！</h1>
+      <p>${escapeHtml(data.name)}，您好：</p>
+      <p>${escapeHtml(data.instituteName)} 已为您创建 Fuxi 账户，角色为 <strong>${escapeHtml(data.role)}</strong>。</p>
+      <p>请使用本邮箱地址及管理员提供的密码登录。</p>
+      <p>此致<br>Fuxi 团队</p>`,
+  text: `
+${data.name}，您好：
+
+${data.instituteName} 已为您创建 Fuxi 账户，角色为 ${data.role}。
+
+请使用本邮箱地址及管理员提供的密码登录。
+
+此致
+Fuxi 团队`
+}));
@@ -1,72 +1,133 @@
 import nodemailer from 'nodemailer';
+import { randomInt } from 'crypto';
+import { mkdir, writeFile } from 'fs/promises';
+import path from 'path';
 import dotenv from 'dotenv';
+import { DEFAULT_LANGUAGE, renderTemplate } from './email-templates.js';
 
 dotenv.config();
 
-// Create transporter
-const transporter = nodemailer.createTransport({
-  service: 'gmail',
-  auth: {
-    user: process.env.MAILER_USERNAME,
-    pass: process.env.MAILER_PASSWORD
+// Messages the outbox keeps in memory, newest last
+const MAX_OUTBOX_MESSAGES = 100;
+
+// Writes each message to a JSON file instead of sending it, so signup and
+// reset codes can be read locally without mail credentials
+export class OutboxTransport {
+  constructor({ dir = null } = {}) {
+    this.dir = dir;
+    this.messages = [];
   }
-});
 
-export function generateOTP() {
-  return Math.floor(100000 + Math.random() * 900000).toString();
-}
+  async sendMail(message) {
+    const template = message.headers['X-Fuxi-Template'];
+    const stored = { ...message, sentAt: new Date().toISOString() };
+    this.messages = [...this.messages, stored].slice(-MAX_OUTBOX_MESSAGES);
 
-export async function sendEmail(to, type, data) {
-  const templates = {
-    signup: {
-      subject: '[Fuxi] - Welcome! Verify Your Account',
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h1 style="color: #4A90E2;">Welcome to Fuxi!</h1>
-          <p>Hi ${data.name},</p>
-          <p>Thank you for joining Fuxi - the reactive music therapy platform for dementia care.</p>
-          <p>Your verification code is:</p>
-          <div style="background: #f5f5f5; padding: 20px; text-align: center; font-size: 24px; font-weight: bold; letter-spacing: 2px; margin: 20px 0;">
-            ${data.otp}
-          </div>
-          <p>This code will expire in 10 minutes.</p>
-          <p>Best regards,<br>The Fuxi Team</p>
-        </div>
-      `
-    },
-    reset: {
-      subject: '[Fuxi] - Password Reset Request',
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h1 style="color: #4A90E2;">Password Reset</h1>
-          <p>Hi ${data.name},</p>
-          <p>We received a request to reset your password.</p>
-          <p>Your reset code is:</p>
-          <div style="background: #f5f5f5; padding: 20px; text-align: center; font-size: 24px; font-weight: bold; letter-spacing: 2px; margin: 20px 0;">
-            ${data.otp}
-          </div>
-          <p>This code will expire in 10 minutes.</p>
-          <p>If you didn't request this, please ignore this email.</p>
-          <p>Best regards,<br>The Fuxi Team</p>
-        </div>
-      `
+    if (this.dir) {
+      await mkdir(this.dir, { recursive: true });
+      const file = path.join(this.dir, `${Date.now()}-${template}-${randomInt(1000, 10000)}.json`);
+      await writeFile(file, JSON.stringify(stored, null, 2));
+      console.log(`Email to ${message.to} written to ${file}`);
     }
-  };
 
-  const template = templates[type];
-  if (!template) {
-    throw new Error(`Unknown email template: ${type}`);
+    return { messageId: `outbox-${this.messages.length}` };
+  }
+
+  clear() {
+    this.messages = [];
+  }
+}
+
+// Drops every message; for deployments that shouldn't send mail at all
+export class DisabledTransport {
+  async sendMail(message) {
+    console.log(`Email sending disabled, skipped ${message.headers['X-Fuxi-Template']} email to ${message.to}`);
+    return { messageId: null };
+  }
+}
+
+// MAIL_TRANSPORT picks the backend: smtp, gmail, outbox or disabled. Without
+// it, Gmail is used when its credentials are set, the outbox otherwise. In
+// production it must be set, so a missing variable can't quietly leave
+// signup codes in a local folder.
+export function createMailTransport() {
+  if (!process.env.MAIL_TRANSPORT && process.env.NODE_ENV === 'production') {
+    throw new Error('MAIL_TRANSPORT must be set in production');
+  }
+  const backend = process.env.MAIL_TRANSPORT ||
+    (process.env.MAILER_USERNAME ? 'gmail' : 'outbox');
+
+  switch (backend) {
+    case 'smtp':
+      if (!process.env.SMTP_HOST) {
+        throw new Error('SMTP_HOST must be set for the smtp mail transport');
+      }
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASSWORD
+        } : undefined
+      });
+    case 'gmail':
+      if (!process.env.MAILER_USERNAME || !process.env.MAILER_PASSWORD) {
+        throw new Error('MAILER_USERNAME and MAILER_PASSWORD must be set for the gmail mail transport');
+      }
+      return nodemailer.createTransport({
+        service: 'gmail',
+        auth: {
+          user: process.env.MAILER_USERNAME,
+          pass: process.env.MAILER_PASSWORD
+        }
+      });
+    case 'outbox':
+      return new OutboxTransport({ dir: process.env.MAIL_OUTBOX_DIR || 'mail-outbox' });
+    case 'disabled':
+      return new DisabledTransport();
+    default:
+      throw new Error(`Unknown mail transport: ${backend}`);
   }
+}
+
+let transporter = null;
+
+// Created on first use so the environment can be configured beforehand; the
+// server also calls it at startup so a bad configuration fails there
+export function getMailTransport() {
+  if (!transporter) {
+    transporter = createMailTransport();
+  }
+  return transporter;
+}
+
+// Swap the transport, e.g. for an in-memory OutboxTransport in tests
+export function setMailTransport(transport) {
+  transporter = transport;
+}
+
+export function generateOTP() {
+  return randomInt(100000, 1000000).toString();
+}
+
+export async function sendEmail(to, type, data, { language = DEFAULT_LANGUAGE } = {}) {
+  const email = renderTemplate(type, data, language);
 
   const mailOptions = {
-    from: process.env.MAILER_USERNAME,
+    from: process.env.MAIL_FROM || process.env.MAILER_USERNAME || process.env.SMTP_USER,
     to,
-    subject: template.subject,
-    html: template.html
+    subject: email.subject,
+    html: email.html,
+    text: email.text,
+    headers: {
+      'X-Fuxi-Template': type,
+      'Content-Language': email.language
+    }
   };
 
   try {
-    await transporter.sendMail(mailOptions);
+    await getMailTransport().sendMail(mailOptions);
     console.log(`Email sent successfully to ${to}`);
   } catch (error) {
     console.error('Error sending email:', error);
@@ -0,0 +1,35 @@
+// Which staff roles may do what. Institute logins act as admin.
+const PERMISSIONS = {
+  'sessions:run': ['admin', 'therapist', 'caregiver'], // start, join and control sessions
+  'sessions:end': ['admin', 'therapist'],
+  'profiles:edit': ['admin', 'therapist'],
+  'profiles:clinical': ['admin', 'therapist', 'caregiver'], // read notes and dementia stage
+  'blocklists:edit': ['admin', 'therapist', 'caregiver'],
+  'playlists:manage': ['admin', 'therapist', 'caregiver'], // curate playlists and their tracks
+  'alerts:view': ['admin', 'therapist', 'caregiver'],
+  'history:view': ['admin', 'therapist', 'caregiver'],
+  'analytics:clinical': ['admin', 'therapist'],
+  'tracks:manage': ['admin', 'therapist'], // add, edit and retire catalogue tracks
+  'staff:manage': ['admin']
+};
+
+// Tokens issued before staff accounts existed belong to institute logins
+export function roleOf(user) {
+  return (user && user.role) || 'admin';
+}
+
+export function hasPermission(user, permission) {
+  return (PERMISSIONS[permission] || []).includes(roleOf(user));
+}
+
+// Route hook that turns away roles without the permission
+export function requirePermission(permission) {
+  return async function(request, reply) {
+    if (!hasPermission(request.user, permission)) {
+      return reply.code(403).send({
+        error: 'Forbidden',
+        message: `The ${roleOf(request.user)} role cannot do this`
+      });
+    }
+  };
+}
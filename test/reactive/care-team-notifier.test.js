@@ -0,0 +1,155 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Subject } from 'rxjs';
+import Institute from '../../src/models/Institute.js';
+import Staff from '../../src/models/Staff.js';
+import { CareTeamNotifier, summarize } from '../../src/reactive/care-team-notifier.js';
+import { OutboxTransport, setMailTransport } from '../../src/utils/email.js';
+
+// Lets the notifier's lookups and sends settle
+const flush = () => new Promise(resolve => setTimeout(resolve, 20));
+
+const institute = new Institute({
+  uid: 'institute-1',
+  email: 'office@example.com',
+  name: 'Rose Court',
+  password: 'secret1',
+  preferences: { language: 'en' }
+});
+const staff = [
+  new Staff({ institute: institute._id, email: 'carer@example.com', name: 'Carer', role: 'caregiver', password: 'secret1' }),
+  new Staff({ institute: institute._id, email: 'gran@example.com', name: 'Family', role: 'family', password: 'secret1' }),
+  new Staff({ institute: institute._id, email: 'gone@example.com', name: 'Former', role: 'therapist', password: 'secret1', isActive: false })
+];
+
+function endedSession() {
+  const createdAt = Date.now() - 30 * 60000;
+  return {
+    id: 'session-1',
+    createdBy: String(institute._id),
+    createdAt,
+    endedAt: createdAt + 30 * 60000,
+    participantLog: [
+      { userId: 'carer', profileId: 'resident-1', profileName: 'Margaret' },
+      { userId: 'carer', profileId: 'resident-2', profileName: 'Tom' }
+    ],
+    trackHistory: [
+      { trackId: 'track-1', title: 'Moon River' },
+      { trackId: 'track-2', title: 'Blue Moon' },
+      { trackId: 'track-1', title: 'Moon River' }
+    ],
+    reactions: [
+      { trackId: 'track-1', intensity: 5 },
+      { trackId: 'track-1', intensity: 4 },
+      { trackId: 'track-2', intensity: 1 }
+    ]
+  };
+}
+
+let outbox;
+let sessionManager;
+let alertEngine;
+let notifier;
+
+beforeEach(t => {
+  outbox = new OutboxTransport();
+  setMailTransport(outbox);
+  institute.preferences.notifications = true;
+  t.mock.method(Institute, 'findById', async id => String(id) === String(institute._id) ? institute : null);
+  t.mock.method(Staff, 'findByInstitute', async () => staff);
+
+  sessionManager = { sessionEvents$: new Subject(), getSession: () => endedSession() };
+  alertEngine = { alerts$: new Subject() };
+  notifier = new CareTeamNotifier({ sessionManager, alertEngine });
+});
+
+afterEach(() => {
+  notifier.close();
+  setMailTransport(null);
+});
+
+function alert(severity) {
+  return {
+    rule: 'REPEATED_STRONG_DISLIKE',
+    severity,
+    message: '2 strong dislikes in 5 minutes',
+    sessionId: 'session-1',
+    instituteId: String(institute._id),
+    profileName: 'Margaret',
+    calmingTrackId: 'track-2',
+    timestamp: Date.now()
+  };
+}
+
+test('urgent alerts are emailed to everyone who watches alerts', async () => {
+  alertEngine.alerts$.next(alert('high'));
+  await flush();
+
+  assert.deepEqual(outbox.messages.map(message => message.to).sort(), ['carer@example.com', 'office@example.com']);
+  const [message] = outbox.messages;
+  assert.equal(message.headers['X-Fuxi-Template'], 'caregiverAlert');
+  assert.match(message.subject, /Urgent: Alert for Margaret/);
+  assert.match(message.text, /Blue Moon/);
+});
+
+test('other alerts only count towards the summary', async () => {
+  alertEngine.alerts$.next(alert('medium'));
+  alertEngine.alerts$.next(alert('high'));
+  await flush();
+  outbox.clear();
+
+  sessionManager.sessionEvents$.next({ type: 'SESSION_ENDED', sessionId: 'session-1', session: endedSession() });
+  await flush();
+
+  assert.equal(outbox.messages.length, 1);
+  const [summary] = outbox.messages;
+  assert.equal(summary.to, 'office@example.com');
+  assert.equal(summary.headers['X-Fuxi-Template'], 'sessionSummary');
+  assert.match(summary.text, /Alerts raised: 2/);
+  assert.match(summary.text, /- Moon River/);
+});
+
+test('institutes with notifications off get no emails', async () => {
+  institute.preferences.notifications = false;
+
+  alertEngine.alerts$.next(alert('high'));
+  sessionManager.sessionEvents$.next({ type: 'SESSION_ENDED', sessionId: 'session-1', session: endedSession() });
+  await flush();
+
+  assert.deepEqual(outbox.messages, []);
+});
+
+test('sessions started without an institute send no summary', async () => {
+  const findById = Institute.findById;
+  sessionManager.sessionEvents$.next({
+    type: 'SESSION_ENDED',
+    sessionId: 'session-2',
+    session: { ...endedSession(), id: 'session-2', createdBy: 'local-test' }
+  });
+  await flush();
+
+  assert.equal(findById.mock.callCount(), 0);
+  assert.deepEqual(outbox.messages, []);
+});
+
+test('sessions nobody joined and nothing played in send no summary', async () => {
+  sessionManager.sessionEvents$.next({
+    type: 'SESSION_ENDED',
+    sessionId: 'session-1',
+    session: { ...endedSession(), participantLog: [], trackHistory: [], reactions: [] }
+  });
+  await flush();
+
+  assert.deepEqual(outbox.messages, []);
+});
+
+test('summaries count residents and list the best received tracks once', () => {
+  const summary = summarize(endedSession());
+
+  assert.equal(summary.sessionName, 'Margaret, Tom');
+  assert.equal(summary.durationMinutes, 30);
+  assert.equal(summary.participantCount, 2);
+  assert.equal(summary.tracksPlayed, 3);
+  assert.equal(summary.engagement, ((5 + 4 + 1) / 3 - 1) / 4);
+  assert.deepEqual(summary.topTracks, ['Moon River']);
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import SessionRecord from '../../src/models/SessionRecord.js';
+import { ReactiveSessionManager } from '../../src/reactive/session-manager.js';
+
+test('two connections on the same login each keep their place', async t => {
+  const save = t.mock.method(SessionRecord.prototype, 'save', async function() { return this; });
+  const manager = new ReactiveSessionManager();
+  const session = manager.createSession({ createdBy: 'institute-1' });
+
+  await manager.joinSession(session.id, { userId: 'carer', connectionId: 'tablet-1' });
+  await manager.joinSession(session.id, { userId: 'carer', connectionId: 'tablet-2' });
+  assert.equal(session.participants.size, 2);
+
+  manager.updateUserReaction(session.id, {
+    trackId: 'track-1', reaction: 'like', intensity: 4, connectionId: 'tablet-2', timestamp: Date.now()
+  });
+  assert.equal(session.participants.get('tablet-1').reactions.length, 0);
+  assert.equal(session.participants.get('tablet-2').reactions.length, 1);
+
+  // The first tablet leaving doesn't take the second one with it
+  manager.leaveSession(session.id, 'tablet-1');
+  assert.ok(manager.getSession(session.id));
+  assert.deepEqual([...session.participants.keys()], ['tablet-2']);
+  assert.equal(manager.getUserSession('carer'), session);
+  assert.deepEqual(session.participantLog.map(entry => entry.leftAt !== null), [true, false]);
+
+  manager.leaveSession(session.id, 'tablet-2');
+  assert.equal(manager.getSession(session.id), undefined);
+  assert.equal(manager.getUserSession('carer'), null);
+  assert.equal(save.mock.callCount(), 1);
+
+  await manager.close();
+});
+
+test('reactions without a resident cannot force a skip', async () => {
+  const manager = new ReactiveSessionManager();
+  const session = manager.createSession({ createdBy: 'institute-1' });
+  session.currentTrack = { trackId: 'track-1', startedAt: Date.now() - 1000 };
+
+  const dislike = profileId => ({
+    trackId: 'track-1', reaction: 'strongly dislike', intensity: 1, profileId, timestamp: Date.now()
+  });
+  manager.updateUserReaction(session.id, dislike(undefined));
+  manager.updateUserReaction(session.id, dislike(null));
+  assert.equal(manager.reactionsBelowThreshold(session), false);
+
+  manager.updateUserReaction(session.id, dislike('resident-1'));
+  assert.equal(manager.reactionsBelowThreshold(session), true);
+
+  await manager.close();
+});
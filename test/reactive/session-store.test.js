@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemorySessionStore, serializeSession, deserializeSession } from '../../src/reactive/session-store.js';
+import { ReactiveSessionManager } from '../../src/reactive/session-manager.js';
+
+// Lets store writes and pub/sub deliveries settle
+const flush = (ms = 20) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Managers sharing one MemorySessionStore stand in for separate servers sharing Redis
+async function startInstances(count, options = {}) {
+  const store = new MemorySessionStore();
+  const managers = [];
+  for (let i = 0; i < count; i++) {
+    const manager = new ReactiveSessionManager({ store, ...options });
+    await manager.connectStore();
+    managers.push(manager);
+  }
+  return { store, managers };
+}
+
+async function stopInstances(managers) {
+  await Promise.all(managers.map(manager => manager.close()));
+}
+
+function reaction(profileId, intensity, timestamp = Date.now()) {
+  return { trackId: 'track-1', reaction: intensity >= 4 ? 'like' : 'dislike', intensity, profileId, timestamp };
+}
+
+test('snapshots restore participants and leave reactions out', () => {
+  const session = {
+    id: 'session-1',
+    participants: new Map([['user-1', { userId: 'user-1', profileId: 'resident-1', reactions: [reaction('resident-1', 5)] }]]),
+    reactions: [reaction('resident-1', 5)]
+  };
+
+  const json = serializeSession(session);
+  assert.equal(JSON.parse(json).reactions, undefined);
+
+  const restored = deserializeSession(json);
+  assert.deepEqual(restored.participants.get('user-1'), { userId: 'user-1', profileId: 'resident-1', reactions: [] });
+  assert.deepEqual(restored.reactions, []);
+});
+
+test('a session created on one instance is visible on another', async () => {
+  const { managers: [a, b] } = await startInstances(2);
+
+  const session = a.createSession({ createdBy: 'institute-1' });
+  await flush();
+
+  assert.equal(b.getSession(session.id).createdBy, 'institute-1');
+  assert.deepEqual(b.getActiveSessions('institute-2'), []);
+
+  await stopInstances([a, b]);
+});
+
+test('reactions made on different instances at the same time are all kept', async () => {
+  const { store, managers: [a, b] } = await startInstances(2);
+
+  const session = a.createSession({ createdBy: 'institute-1' });
+  await flush();
+
+  a.updateUserReaction(session.id, reaction('resident-1', 5));
+  b.updateUserReaction(session.id, reaction('resident-2', 1));
+  await flush();
+
+  for (const manager of [a, b]) {
+    const metrics = manager.getSessionMetrics(session.id);
+    assert.equal(metrics.totalReactions, 2);
+    assert.equal(metrics.positiveReactions, 1);
+    assert.equal(metrics.negativeReactions, 1);
+  }
+
+  // A snapshot written afterwards must not wipe them out
+  b.pinTrack(session.id, 'track-2');
+  await flush();
+  assert.equal(a.getSessionMetrics(session.id).totalReactions, 2);
+
+  // Nor does a restart
+  const c = new ReactiveSessionManager({ store });
+  await c.connectStore();
+  assert.equal(c.getSessionMetrics(session.id).totalReactions, 2);
+
+  await stopInstances([a, b, c]);
+});
+
+test('another instance takes over autoplay when the host stops renewing its lease', async () => {
+  const { managers: [a, b] } = await startInstances(2, { hostLeaseMs: 60 });
+
+  const session = a.createSession({ createdBy: 'institute-1' });
+  await flush();
+  assert.ok(a.hostedSessions.has(session.id));
+  assert.ok(!b.hostedSessions.has(session.id));
+
+  // The host dies without handing over
+  a.leaseRenewals.unsubscribe();
+  await flush(150);
+
+  assert.ok(b.hostedSessions.has(session.id));
+
+  await stopInstances([a, b]);
+});
+
+test('closing an instance hands its sessions over straight away', async () => {
+  const { managers: [a, b] } = await startInstances(2, { hostLeaseMs: 60000 });
+
+  const session = a.createSession({ createdBy: 'institute-1' });
+  await flush();
+  await a.close();
+
+  await b.renewHostLeases();
+  assert.ok(b.hostedSessions.has(session.id));
+
+  await stopInstances([b]);
+});
@@ -0,0 +1,99 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Fastify from 'fastify';
+import jwt from '@fastify/jwt';
+import websocket from '@fastify/websocket';
+import mongoose from 'mongoose';
+import { Subject } from 'rxjs';
+import WebSocket from 'ws';
+import AuthSession from '../../src/models/AuthSession.js';
+import SessionRecord from '../../src/models/SessionRecord.js';
+import { ReactiveSessionManager } from '../../src/reactive/session-manager.js';
+import { setupWebSocketHandlers } from '../../src/reactive/websocket-handler.js';
+
+const institute = String(new mongoose.Types.ObjectId());
+
+let app;
+let url;
+
+before(async () => {
+  app = Fastify();
+  await app.register(jwt, { secret: 'test-secret', sign: { expiresIn: '15m' } });
+  await app.register(websocket, {
+    options: { handleProtocols: (protocols) => protocols.has('bearer') ? 'bearer' : false }
+  });
+  app.decorate('sessionManager', new ReactiveSessionManager());
+  app.decorate('alertEngine', { alerts$: new Subject() });
+  app.decorate('musicEngine', { getSessionRecommendations: async () => [] });
+  setupWebSocketHandlers(app);
+
+  const address = await app.listen({ port: 0, host: '127.0.0.1' });
+  url = address.replace('http', 'ws');
+});
+
+after(async () => {
+  await app.sessionManager.close();
+  await app.close();
+});
+
+beforeEach(t => {
+  t.mock.method(AuthSession, 'isActive', async () => true);
+});
+
+// A socket signed in as a fresh login; resolves once it's open
+function connect(signOptions = {}, path = '/ws/caregivers') {
+  const sid = String(new mongoose.Types.ObjectId());
+  const token = app.jwt.sign({ id: institute, sid }, signOptions);
+  const socket = new WebSocket(`${url}${path}`, ['bearer', token]);
+  const closed = new Promise(resolve => socket.on('close', code => resolve(code)));
+  return new Promise((resolve, reject) => {
+    socket.once('open', () => resolve({ sid, socket, closed }));
+    socket.once('error', reject);
+  });
+}
+
+test('revoking a login closes the sockets it opened', async t => {
+  const revoked = await connect();
+  const other = await connect();
+  t.mock.method(AuthSession, 'updateMany', async () => ({ modifiedCount: 1 }));
+  t.mock.method(AuthSession, 'find', () => ({ distinct: async () => [revoked.sid] }));
+
+  await AuthSession.revokeAll({ institute }, 'logout');
+
+  assert.equal(await revoked.closed, 4001);
+  assert.equal(other.socket.readyState, WebSocket.OPEN);
+  other.socket.close();
+  await other.closed;
+});
+
+test('a revoked login leaves its live session straight away', async t => {
+  t.mock.method(SessionRecord.prototype, 'save', async function() { return this; });
+  const session = app.sessionManager.createSession({ createdBy: institute });
+  const { sid, socket, closed } = await connect({}, `/ws/session/${session.id}`);
+
+  const joined = new Promise(resolve => socket.on('message', data => {
+    if (JSON.parse(data).type === 'SESSION_JOINED') resolve();
+  }));
+  socket.send(JSON.stringify({ type: 'JOIN_SESSION' }));
+  await joined;
+  assert.equal(session.participants.size, 1);
+
+  await app.sessionManager.store.publish('revocations', { origin: 'another-instance', sids: [sid] });
+
+  assert.equal(await closed, 4001);
+  assert.equal(app.sessionManager.getSession(session.id), undefined);
+});
+
+test('logins revoked on another instance close sockets here too', async () => {
+  const { sid, closed } = await connect();
+
+  await app.sessionManager.store.publish('revocations', { origin: 'another-instance', sids: [sid] });
+
+  assert.equal(await closed, 4001);
+});
+
+test('sockets are closed once their token expires', async () => {
+  const { closed } = await connect({ expiresIn: 1 });
+
+  assert.equal(await closed, 4002);
+});
@@ -0,0 +1,235 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import Fastify from 'fastify';
+import mongoose from 'mongoose';
+import Playlist from '../../src/models/Playlist.js';
+import Profile from '../../src/models/Profile.js';
+import SessionRecord from '../../src/models/SessionRecord.js';
+import Track from '../../src/models/Track.js';
+import { ReactiveSessionManager } from '../../src/reactive/session-manager.js';
+import { authorizeProfile, authorizeSession } from '../../src/reactive/websocket-handler.js';
+import profileRoutes from '../../src/routes/profiles.js';
+import playlistRoutes from '../../src/routes/playlists.js';
+import sessionRoutes from '../../src/routes/sessions.js';
+import analyticsRoutes from '../../src/routes/analytics.js';
+
+const ours = String(new mongoose.Types.ObjectId());
+const theirs = String(new mongoose.Types.ObjectId());
+
+// Every record below belongs to the other institute
+const profile = new Profile({ institute: theirs, name: 'Resident' });
+const playlist = new Playlist({ institute: theirs, name: 'Favourites' });
+const record = new SessionRecord({ institute: theirs, sessionId: 'their-session' });
+
+// Enough of Mongo's query language for the institute-scoped lookups
+function matches(doc, query) {
+  return Object.entries(query).every(([key, value]) => {
+    if (key === '$or') return value.some(clause => matches(doc, clause));
+    if (value && value.$in) return value.$in.map(String).includes(String(doc.get(key)));
+    return String(doc.get(key)) === String(value);
+  });
+}
+
+function results(docs) {
+  return {
+    sort() { return this; },
+    skip() { return this; },
+    limit() { return this; },
+    then(resolve, reject) { return Promise.resolve(docs).then(resolve, reject); }
+  };
+}
+
+function stubCollection(t, Model, docs) {
+  const matching = query => docs.filter(doc => matches(doc, query));
+  t.mock.method(Model, 'findOne', async query => matching(query)[0] || null);
+  t.mock.method(Model, 'find', query => results(matching(query)));
+  t.mock.method(Model, 'countDocuments', async query => matching(query).length);
+}
+
+function fakeReply() {
+  return {
+    statusCode: 200,
+    code(statusCode) { this.statusCode = statusCode; return this; },
+    send(body) { this.body = body; return this; }
+  };
+}
+
+let app;
+let session;
+
+before(async () => {
+  app = Fastify();
+  app.decorate('sessionManager', new ReactiveSessionManager());
+  app.decorate('musicEngine', { getSessionRecommendations: async () => [] });
+
+  // Stands in for the JWT hook: every request comes from our institute
+  app.addHook('onRequest', async request => {
+    request.user = { id: ours, role: 'admin' };
+  });
+
+  await app.register(profileRoutes, { prefix: '/profiles' });
+  await app.register(playlistRoutes, { prefix: '/playlists' });
+  await app.register(sessionRoutes, { prefix: '/sessions' });
+  await app.register(analyticsRoutes, { prefix: '/analytics' });
+  await app.ready();
+
+  session = app.sessionManager.createSession({ createdBy: theirs });
+});
+
+after(async () => {
+  await app.sessionManager.close();
+  await app.close();
+});
+
+test('another institute\'s profile is not found', async t => {
+  stubCollection(t, Profile, [profile]);
+
+  const requests = [
+    { method: 'GET', url: `/profiles/${profile.id}` },
+    { method: 'PUT', url: `/profiles/${profile.id}`, payload: { name: 'Renamed' } },
+    { method: 'DELETE', url: `/profiles/${profile.id}` },
+    { method: 'GET', url: `/profiles/${profile.id}/blocklist/audit` }
+  ];
+  for (const request of requests) {
+    const response = await app.inject(request);
+    assert.equal(response.statusCode, 404, `${request.method} ${request.url}`);
+  }
+
+  const list = await app.inject({ method: 'GET', url: '/profiles' });
+  assert.deepEqual(list.json().data.profiles, []);
+});
+
+test('lookups without an institute find nothing', async t => {
+  stubCollection(t, Profile, [profile]);
+  stubCollection(t, Playlist, [playlist]);
+
+  for (const instituteId of [undefined, null, '']) {
+    assert.equal(await Profile.findForInstitute(profile.id, instituteId), null);
+    assert.equal(await Playlist.findForInstitute(playlist.id, instituteId), null);
+    assert.deepEqual(await Profile.findByInstitute(instituteId), []);
+    assert.deepEqual(await Playlist.findByInstitute(instituteId), []);
+  }
+  assert.equal(Profile.findOne.mock.callCount(), 0);
+  assert.equal(Playlist.find.mock.callCount(), 0);
+});
+
+test('another institute\'s playlist is not found', async t => {
+  stubCollection(t, Playlist, [playlist]);
+
+  const requests = [
+    { method: 'GET', url: `/playlists/${playlist.id}` },
+    { method: 'PUT', url: `/playlists/${playlist.id}`, payload: { name: 'Renamed' } },
+    { method: 'DELETE', url: `/playlists/${playlist.id}` },
+    { method: 'DELETE', url: `/playlists/${playlist.id}/tracks/${new mongoose.Types.ObjectId()}` }
+  ];
+  for (const request of requests) {
+    const response = await app.inject(request);
+    assert.equal(response.statusCode, 404, `${request.method} ${request.url}`);
+  }
+});
+
+test('playlists cannot be assigned to another institute\'s residents', async t => {
+  stubCollection(t, Profile, [profile]);
+  stubCollection(t, Track, []);
+
+  const response = await app.inject({
+    method: 'POST',
+    url: '/playlists',
+    payload: { name: 'Morning', profileIds: [profile.id] }
+  });
+  assert.equal(response.statusCode, 400);
+  assert.equal(response.json().message, 'One or more profiles do not exist');
+});
+
+test('another institute\'s live session is not found', async () => {
+  const requests = [
+    { method: 'GET', url: `/sessions/${session.id}` },
+    { method: 'POST', url: `/sessions/${session.id}/join`, payload: { profileId: profile.id } },
+    { method: 'POST', url: `/sessions/${session.id}/leave` },
+    { method: 'GET', url: `/sessions/${session.id}/queue` },
+    { method: 'DELETE', url: `/sessions/${session.id}` }
+  ];
+  for (const request of requests) {
+    const response = await app.inject(request);
+    assert.equal(response.statusCode, 404, `${request.method} ${request.url}`);
+  }
+
+  const list = await app.inject({ method: 'GET', url: '/sessions' });
+  assert.deepEqual(list.json().data.sessions, []);
+  assert.ok(app.sessionManager.getSession(session.id));
+});
+
+test('our sessions cannot seat another institute\'s residents or play their playlists', async t => {
+  stubCollection(t, Profile, [profile]);
+  stubCollection(t, Playlist, [playlist]);
+  // Ending the session below saves its record
+  const save = t.mock.method(SessionRecord.prototype, 'save', async function() { return this; });
+
+  const own = app.sessionManager.createSession({ createdBy: ours });
+  const join = await app.inject({
+    method: 'POST',
+    url: `/sessions/${own.id}/join`,
+    payload: { profileId: profile.id }
+  });
+  assert.equal(join.statusCode, 404);
+
+  const create = await app.inject({
+    method: 'POST',
+    url: '/sessions',
+    payload: { playlistId: playlist.id }
+  });
+  assert.equal(create.statusCode, 404);
+
+  // A session whose first resident isn't ours is dropped without a record
+  const seated = await app.inject({
+    method: 'POST',
+    url: '/sessions',
+    payload: { profileId: profile.id }
+  });
+  assert.equal(seated.statusCode, 404);
+  assert.deepEqual(app.sessionManager.getActiveSessions(ours).map(active => active.id), [own.id]);
+  assert.equal(save.mock.callCount(), 0);
+
+  app.sessionManager.endSession(own.id);
+  assert.equal(save.mock.callCount(), 1);
+});
+
+test('another institute\'s session history is not found', async t => {
+  stubCollection(t, SessionRecord, [record]);
+
+  for (const id of [record.id, record.sessionId]) {
+    const response = await app.inject({ method: 'GET', url: `/sessions/history/${id}` });
+    assert.equal(response.statusCode, 404, id);
+  }
+
+  const list = await app.inject({ method: 'GET', url: '/sessions/history' });
+  assert.deepEqual(list.json().data.sessions, []);
+});
+
+test('another institute\'s resident has no analytics', async t => {
+  stubCollection(t, Profile, [profile]);
+
+  for (const url of [`/analytics/realtime/${profile.id}`, `/analytics/trends/${profile.id}`]) {
+    const response = await app.inject({ method: 'GET', url });
+    assert.equal(response.statusCode, 404, url);
+  }
+});
+
+test('WebSocket upgrades are refused for another institute\'s session or resident', async t => {
+  stubCollection(t, Profile, [profile]);
+  const user = { id: ours, role: 'admin' };
+
+  const sessionReply = fakeReply();
+  await authorizeSession({ server: app, user, params: { sessionId: session.id } }, sessionReply);
+  assert.equal(sessionReply.statusCode, 404);
+
+  const profileReply = fakeReply();
+  await authorizeProfile({ user, params: { profileId: profile.id } }, profileReply);
+  assert.equal(profileReply.statusCode, 404);
+
+  // The same ids are fine for their own institute
+  const ownerReply = fakeReply();
+  await authorizeSession({ server: app, user: { id: theirs }, params: { sessionId: session.id } }, ownerReply);
+  await authorizeProfile({ user: { id: theirs }, params: { profileId: profile.id } }, ownerReply);
+  assert.equal(ownerReply.statusCode, 200);
+});
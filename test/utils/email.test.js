@@ -0,0 +1,74 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { OutboxTransport, DisabledTransport, createMailTransport, sendEmail, setMailTransport } from '../../src/utils/email.js';
+
+const MAIL_ENV = ['NODE_ENV', 'MAIL_TRANSPORT', 'MAILER_USERNAME', 'MAILER_PASSWORD', 'SMTP_HOST'];
+const savedEnv = Object.fromEntries(MAIL_ENV.map(name => [name, process.env[name]]));
+
+function setEnv(values) {
+  for (const name of MAIL_ENV) {
+    if (values[name] === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = values[name];
+    }
+  }
+}
+
+afterEach(() => {
+  setEnv(savedEnv);
+  setMailTransport(null);
+});
+
+test('emails are rendered into the outbox in the requested language', async () => {
+  const outbox = new OutboxTransport();
+  setMailTransport(outbox);
+
+  await sendEmail('carer@example.com', 'reset', { otp: '123456', name: 'Ann' }, { language: 'zh' });
+  await sendEmail('carer@example.com', 'reset', { otp: '654321', name: 'Ann' }, { language: 'fr' });
+
+  const [chinese, fallback] = outbox.messages;
+  assert.equal(chinese.to, 'carer@example.com');
+  assert.equal(chinese.headers['X-Fuxi-Template'], 'reset');
+  assert.equal(chinese.headers['Content-Language'], 'zh');
+  assert.match(chinese.text, /123456/);
+  assert.equal(fallback.headers['Content-Language'], 'en');
+
+  outbox.clear();
+  assert.deepEqual(outbox.messages, []);
+});
+
+test('the outbox keeps only the latest messages', async () => {
+  const outbox = new OutboxTransport();
+  for (let i = 0; i < 105; i++) {
+    await outbox.sendMail({ to: `${i}@example.com`, headers: { 'X-Fuxi-Template': 'signup' } });
+  }
+
+  assert.equal(outbox.messages.length, 100);
+  assert.equal(outbox.messages[0].to, '5@example.com');
+});
+
+test('without MAIL_TRANSPORT, development mail goes to the outbox', () => {
+  setEnv({ NODE_ENV: 'development' });
+  assert.ok(createMailTransport() instanceof OutboxTransport);
+
+  setEnv({ NODE_ENV: 'development', MAIL_TRANSPORT: 'disabled' });
+  assert.ok(createMailTransport() instanceof DisabledTransport);
+});
+
+test('production needs an explicit, complete mail transport', () => {
+  setEnv({ NODE_ENV: 'production', MAILER_USERNAME: 'fuxi@example.com', MAILER_PASSWORD: 'secret' });
+  assert.throws(() => createMailTransport(), /MAIL_TRANSPORT must be set/);
+
+  setEnv({ NODE_ENV: 'production', MAIL_TRANSPORT: 'gmail' });
+  assert.throws(() => createMailTransport(), /MAILER_USERNAME and MAILER_PASSWORD/);
+
+  setEnv({ NODE_ENV: 'production', MAIL_TRANSPORT: 'smtp' });
+  assert.throws(() => createMailTransport(), /SMTP_HOST/);
+
+  setEnv({ NODE_ENV: 'production', MAIL_TRANSPORT: 'carrier-pigeon' });
+  assert.throws(() => createMailTransport(), /Unknown mail transport/);
+
+  setEnv({ NODE_ENV: 'production', MAIL_TRANSPORT: 'smtp', SMTP_HOST: 'smtp.example.com' });
+  assert.equal(typeof createMailTransport().sendMail, 'function');
+});